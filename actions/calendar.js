@@ -0,0 +1,92 @@
+const calendar = require('../lib/calendar');
+const users = require('../lib/users');
+const { toLocalDateString } = require('../lib/dates');
+const { findDate, findWhen, removeMatches } = require('../lib/extract');
+
+const DURATION_PATTERN = /\bfor (\d+|an?|one|two|three|half an) (hours?|hrs?|minutes?|mins?)\b/i;
+
+function parseDurationMinutes(match) {
+  if (!match) return undefined;
+  const amount = /half/i.test(match[1]) ? 0.5 : ({ a: 1, an: 1, one: 1, two: 2, three: 3 }[match[1].toLowerCase()] || parseInt(match[1], 10));
+  return Math.round(/^h/i.test(match[2]) ? amount * 60 : amount);
+}
+
+module.exports = [
+  {
+    name: 'calendar.add',
+    description: 'Add calendar events',
+    params: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', question: 'What should I call the event?' },
+        date: { type: 'string', format: 'date', description: 'YYYY-MM-DD', question: 'What day is the event on?' },
+        time: { type: 'string', format: 'time', description: 'HH:MM (24h), omit for all-day events' },
+        duration: { type: 'integer', minimum: 1, description: 'length in minutes' },
+        description: { type: 'string' }
+      },
+      required: ['title', 'date']
+    },
+    preview: (params, { fromNumber }) => {
+      const lines = [`📅 ${params.title}`, `When: ${params.date}${params.time ? ` at ${params.time}` : ' (all day)'}`];
+      if (params.description) lines.push(params.description);
+      // Surface clashes before the user confirms
+      const times = calendar.buildEventTimes(params, users.getTimeZone(fromNumber));
+      const conflicts = times ? calendar.findConflicts(fromNumber, times.start, times.end, { allDay: times.allDay }) : [];
+      if (conflicts.length > 0) {
+        lines.push('', `⚠️ This overlaps with:\n${conflicts.map(calendar.formatEventLine).join('\n')}`);
+      }
+      return lines.join('\n');
+    },
+    handler: async (params, { fromNumber }) => calendar.addEvent(fromNumber, params),
+    mock: {
+      priority: 20,
+      match: text => /\b(?:calendar|schedule|meeting|appointment|event)\b/.test(text),
+      // "Schedule a meeting with Bob on Friday at 14:30 for an hour" -> title, date, time and duration
+      response: (userMessage, context) => {
+        const when = findWhen(userMessage, context);
+        const duration = userMessage.match(DURATION_PATTERN);
+        const title = removeMatches(userMessage, [...when.matches, duration && duration[0]])
+          .replace(/^(?:please\s+)?(?:(?:add|put|schedule|create|book|set up|plan)\s+)?(?:an?\s+)?(?:(?:event|appointment)\s+(?:for\s+)?)?/i, '')
+          .replace(/\s*\b(?:to|in|on|into) (?:my|the) calendar\b/i, '')
+          .replace(/[.!?]+$/, '');
+        return {
+          reply: "I'll add that event to your calendar.",
+          params: {
+            title: title ? title.charAt(0).toUpperCase() + title.slice(1) : undefined,
+            date: when.date,
+            time: when.time,
+            duration: parseDurationMinutes(duration)
+          }
+        };
+      }
+    }
+  },
+  {
+    name: 'calendar.list',
+    description: 'Show calendar events, e.g. "what\'s on my calendar tomorrow?"',
+    readOnly: true,
+    params: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+        days: { type: 'integer', description: 'number of days to show', minimum: 1, maximum: 31 }
+      }
+    },
+    handler: async (params, { fromNumber }) => calendar.listEvents(fromNumber, params),
+    mock: {
+      priority: 25,
+      match: text => (/\b(?:calendar|agenda|schedule)\b/.test(text) && /what's on|whats on|what is on|show|list|do i have|agenda/.test(text)) || /\bwhat do i have\b/.test(text),
+      // "What's on my calendar this week?" -> date and days
+      response: (userMessage, context) => {
+        const found = findDate(userMessage, context);
+        return {
+          reply: "Let me check your calendar.",
+          params: {
+            date: found ? found.date : toLocalDateString(context.now, context.timeZone),
+            days: /\b(?:this|next) week\b|\bweek\b/i.test(userMessage) ? 7 : 1
+          }
+        };
+      }
+    }
+  }
+];
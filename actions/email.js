@@ -0,0 +1,68 @@
+const email = require('../lib/email');
+const media = require('../lib/media');
+const { logger } = require('../lib/logger');
+const { findEmails, removeMatches } = require('../lib/extract');
+
+module.exports = {
+  name: 'email.send',
+  description: 'Send emails',
+  params: {
+    type: 'object',
+    properties: {
+      to: { type: 'string', format: 'email-list', description: 'recipient email address(es), comma separated', question: 'Who should I send the email to? Please give me their email address.' },
+      subject: { type: 'string' },
+      body: { type: 'string', question: 'What should the email say?' },
+      cc: { type: 'string', format: 'email-list' },
+      bcc: { type: 'string', format: 'email-list' },
+      attachRecentMedia: { type: 'boolean', description: 'true to attach the photo or document the user sent just before ("email this to ...")' }
+    },
+    required: ['to', 'body']
+  },
+  preview: params => [
+    `📧 Email`,
+    `To: ${params.to}`,
+    params.cc ? `Cc: ${params.cc}` : null,
+    params.bcc ? `Bcc: ${params.bcc}` : null,
+    `Subject: ${params.subject || '(no subject)'}`,
+    params.attachRecentMedia ? '📎 With the file you just sent' : null,
+    '',
+    params.body
+  ].filter(line => line !== null).join('\n'),
+  handler: async (params, { fromNumber }) => {
+    const attachments = [];
+    if (params.attachRecentMedia) {
+      try {
+        const attachment = await media.downloadRecentMediaAttachment(fromNumber);
+        if (!attachment) {
+          return { success: false, message: "I couldn't find a recent file to attach. Send it again, then ask me to email it." };
+        }
+        attachments.push(attachment);
+      } catch (error) {
+        logger.error('Error downloading attachment for email', { error: error.message });
+        return { success: false, message: "I couldn't download the file to attach, so nothing was sent." };
+      }
+    }
+    return email.sendEmail(params, fromNumber, { attachments });
+  },
+  mock: {
+    priority: 50,
+    match: text => /\be-?mail\b/.test(text) || findEmails(text).length > 0,
+    // "Email anna@example.com about lunch saying I'll be late" -> to, subject and body
+    response: userMessage => {
+      const to = findEmails(userMessage);
+      const bodyMatch = userMessage.match(/(?:\bsaying\b|\bto say\b|\bthat\b|:)\s*([\s\S]+)$/i);
+      const body = bodyMatch ? bodyMatch[1].trim() : '';
+      const subjectMatch = removeMatches(userMessage, [bodyMatch && bodyMatch[0]]).match(/\babout\s+(.+)$/i);
+      const subject = subjectMatch ? subjectMatch[1] : body.split(/\s+/).slice(0, 6).join(' ').replace(/[.!?,;:]+$/, '');
+      return {
+        reply: to.length > 0 ? `I'll draft that email to ${to.join(', ')}.` : "I'll draft that email.",
+        params: {
+          to: to.join(', '),
+          subject: subject ? subject.charAt(0).toUpperCase() + subject.slice(1) : undefined,
+          body: body ? body.charAt(0).toUpperCase() + body.slice(1) : undefined,
+          attachRecentMedia: /\b(?:attach|(?:this|that|the) (?:photo|picture|image|file|document|pdf))\b/i.test(userMessage) || undefined
+        }
+      };
+    }
+  }
+};
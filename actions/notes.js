@@ -0,0 +1,37 @@
+const notes = require('../lib/notes');
+
+module.exports = {
+  name: 'notes.create',
+  description: 'Create notes',
+  // Notes only touch the user's own notebook and can be deleted with /note delete
+  requiresConfirmation: false,
+  params: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      content: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  handler: async (params, { fromNumber }) => notes.createNote(fromNumber, params),
+  mock: {
+    priority: 30,
+    match: text => /\bnotes?\b|\bwrite (?:this |that |it )?down\b|\bjot (?:this |that |it )?down\b/.test(text),
+    // "Note that the wifi password is hunter2 #home" -> content, title and tags
+    response: userMessage => {
+      const tags = (userMessage.match(/#[\w-]+/g) || []).map(tag => tag.slice(1).toLowerCase());
+      const content = userMessage
+        .replace(/^.*?\b(?:(?:make|take|add|create|save) an? note|notes?(?: down)?|write (?:this |that |it )?down|jot (?:this |that |it )?down)\b\s*(?:that|:)?\s*/i, '')
+        .replace(/\s*#[\w-]+/g, '')
+        .trim();
+      return {
+        reply: "I've created a note with that information.",
+        params: {
+          title: content ? content.split(/\s+/).slice(0, 5).join(' ').replace(/[.!?,;:]+$/, '') : undefined,
+          content: content || undefined,
+          tags: tags.length > 0 ? tags : undefined
+        }
+      };
+    }
+  }
+};
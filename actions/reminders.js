@@ -0,0 +1,46 @@
+const reminders = require('../lib/reminders');
+const { findWhen, removeMatches } = require('../lib/extract');
+
+const PRIORITY_PATTERN = /,?\s*(?:(?:it(?:'s| is)|this is)\s+)?\b(?:urgent|important|asap|high priority)\b/i;
+const REPEAT_PATTERN = /\b(?:every\s+(?:day|weekday|working day|week|month|monday|tuesday|wednesday|thursday|friday|saturday|sunday)|daily|weekly|monthly|on weekdays)\b/i;
+
+module.exports = {
+  name: 'reminder.add',
+  description: 'Set reminders',
+  // Reminders only message the user themselves and can be removed with /cancel
+  requiresConfirmation: false,
+  params: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', description: 'what to remind the user about', question: 'What should I remind you about?' },
+      date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+      time: { type: 'string', format: 'time', description: 'HH:MM (24h)' },
+      priority: { type: 'string', enum: ['low', 'normal', 'high'] },
+      repeat: { type: 'string', description: 'none|daily|weekdays|weekly|monthly|"every <weekday>" for recurring reminders' }
+    },
+    required: ['text']
+  },
+  handler: async (params, { fromNumber, userMessage }) => reminders.addReminder(fromNumber, params, userMessage),
+  mock: {
+    priority: 60,
+    match: text => /\bremind/.test(text),
+    // "Remind me to water the plants tomorrow at 9" -> text, date and time
+    response: (userMessage, context) => {
+      const when = findWhen(userMessage, context);
+      const repeat = userMessage.match(REPEAT_PATTERN);
+      const priority = userMessage.match(PRIORITY_PATTERN);
+      const text = removeMatches(userMessage.replace(/^.*?\bremind(?:er)?s?\b(?:\s+me)?/i, ''), [repeat && repeat[0], priority && priority[0], ...when.matches])
+        .replace(/^(?:(?:for|to|about|that|of)\s+)+/i, '');
+      return {
+        reply: `I'll remind you to ${text}.`,
+        params: {
+          text,
+          date: when.date,
+          time: when.time,
+          repeat: repeat ? repeat[0].toLowerCase().replace(/^on /, '') : undefined,
+          priority: priority ? 'high' : undefined
+        }
+      };
+    }
+  }
+};
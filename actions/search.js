@@ -0,0 +1,31 @@
+const search = require('../lib/search');
+
+module.exports = {
+  name: 'search.web',
+  description: 'Search the web',
+  readOnly: true,
+  params: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', question: 'What would you like me to search for?' },
+      limit: { type: 'integer', minimum: 1, maximum: 10 }
+    },
+    required: ['query']
+  },
+  handler: async (params, { fromNumber }) => search.searchWeb(fromNumber, params),
+  mock: {
+    priority: 35,
+    match: text => /\b(?:search|look up|google)\b/.test(text),
+    // "Search the web for node.js release schedule" -> query
+    response: userMessage => {
+      const query = userMessage
+        .replace(/^.*?\b(?:search|look up|google)\b(?:\s+(?:the web|online|the internet))?(?:\s+(?:for|about))?\s*/i, '')
+        .replace(/[?!.]+$/, '')
+        .trim();
+      return {
+        reply: "Here are some search results for you.",
+        params: { query: query || undefined }
+      };
+    }
+  }
+};
@@ -0,0 +1,29 @@
+const weather = require('../lib/weather');
+const { findLocation } = require('../lib/extract');
+
+module.exports = {
+  name: 'weather.get',
+  description: 'Get weather information',
+  readOnly: true,
+  params: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', description: "city or place name; omit to use the user's saved home location" },
+      units: { type: 'string', enum: ['metric', 'imperial'] }
+    }
+  },
+  handler: async (params, { fromNumber }) => weather.getWeather(fromNumber, params),
+  mock: {
+    priority: 40,
+    match: text => /\b(?:weather|forecast|temperature|raining|rain|snowing|sunny)\b/.test(text),
+    // "Will it rain in Berlin tomorrow?" -> location (and units when asked for)
+    response: userMessage => {
+      const found = findLocation(userMessage);
+      const units = /fahrenheit|°f\b/i.test(userMessage) ? 'imperial' : /celsius|°c\b/i.test(userMessage) ? 'metric' : undefined;
+      return {
+        reply: `Let me check the weather${found ? ` in ${found.location}` : ''}.`,
+        params: { location: found ? found.location : undefined, units }
+      };
+    }
+  }
+};
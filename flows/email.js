@@ -0,0 +1,15 @@
+// /email - write an email step by step, sent through the email.send action
+module.exports = {
+  name: 'email',
+  command: '/email',
+  description: 'Write and send an email',
+  action: 'email.send',
+  steps: [
+    { key: 'to', label: 'To', prompt: "Please enter recipient's email address:" },
+    { key: 'subject', label: 'Subject', prompt: 'Great! Now please enter the subject line:', optional: true },
+    { key: 'body', label: 'Body', prompt: 'Perfect! Now type the email body:' }
+  ],
+  summary: data => `Here's your email:\n\nTo: ${data.to}\nSubject: ${data.subject || '(no subject)'}\n\n${data.body}`,
+  confirmButton: { id: 'send', title: '📤 Send' },
+  cancelMessage: 'Email cancelled.'
+};
@@ -0,0 +1,44 @@
+const { parseDateText, parseTimeText } = require('../lib/dates');
+const users = require('../lib/users');
+const { parseDuration } = require('../lib/reminders');
+
+// /event - add a calendar event step by step, saved through the calendar.add action
+// (its preview warns about clashes before the user confirms)
+module.exports = {
+  name: 'event',
+  command: '/event',
+  description: 'Add a calendar event',
+  action: 'calendar.add',
+  steps: [
+    { key: 'title', label: 'Title', prompt: 'What should I call the event?' },
+    {
+      key: 'date',
+      label: 'Day',
+      prompt: 'Which day is it on? (today, tomorrow, a weekday or YYYY-MM-DD)',
+      parse: (text, data, { fromNumber }) => parseDateText(text, { timeZone: users.getTimeZone(fromNumber) }),
+      hint: 'Please give a day like today, tomorrow, friday or 2024-05-01.'
+    },
+    {
+      key: 'time',
+      label: 'Time',
+      prompt: 'What time does it start? (e.g. 9am or 17:30)',
+      optional: true,
+      parse: text => parseTimeText(text),
+      hint: 'Please give a time like 9am or 17:30, or *skip* for an all-day event.'
+    },
+    {
+      key: 'duration',
+      label: 'Duration',
+      prompt: 'How long is it? (e.g. 30m, 1h or 1h30m)',
+      optional: true,
+      parse: text => {
+        const duration = parseDuration(text);
+        return duration ? Math.round(duration / 60000) : null;
+      },
+      hint: 'Please give a length like 30m, 1h or 1h30m.'
+    },
+    { key: 'description', label: 'Description', prompt: 'Any details to add?', optional: true }
+  ],
+  confirmButton: { id: 'save', title: '💾 Save' },
+  cancelMessage: 'Event cancelled.'
+};
@@ -0,0 +1,62 @@
+const { parseDateText, parseTimeText } = require('../lib/dates');
+const users = require('../lib/users');
+const { parseRecurrence } = require('../lib/reminders');
+
+// /remind - set a reminder step by step, saved through the reminder.add action
+module.exports = {
+  name: 'remind',
+  command: '/remind',
+  description: 'Set a reminder',
+  action: 'reminder.add',
+  steps: [
+    { key: 'text', label: 'Reminder', prompt: 'What should I remind you about?' },
+    {
+      key: 'date',
+      label: 'Day',
+      prompt: 'Which day? (today, tomorrow, a weekday or YYYY-MM-DD)',
+      optional: true,
+      parse: (text, data, { fromNumber }) => parseDateText(text, { timeZone: users.getTimeZone(fromNumber) }),
+      hint: 'Please give a day like today, tomorrow, friday or 2024-05-01.'
+    },
+    {
+      key: 'time',
+      label: 'Time',
+      prompt: 'At what time? (e.g. 9am or 17:30)',
+      optional: true,
+      parse: text => parseTimeText(text),
+      hint: 'Please give a time like 9am or 17:30.'
+    },
+    {
+      key: 'repeat',
+      label: 'Repeat',
+      prompt: 'Should it repeat? Reply daily, weekdays, weekly, monthly or "every monday".',
+      optional: true,
+      choices: [
+        { id: 'daily', title: 'Daily' },
+        { id: 'weekdays', title: 'Weekdays' },
+        { id: 'weekly', title: 'Weekly' }
+      ],
+      parse: text => (/^(none|no|never)$/i.test(text) ? '' : parseRecurrence(text) ? text.toLowerCase() : null),
+      hint: 'Please reply daily, weekdays, weekly, monthly or something like "every monday".'
+    },
+    {
+      key: 'priority',
+      label: 'Priority',
+      prompt: 'How important is it? High priority reminders get an extra heads-up before they are due.',
+      optional: true,
+      choices: [
+        { id: 'low', title: '🟢 Low' },
+        { id: 'normal', title: '🟡 Normal' },
+        { id: 'high', title: '🔴 High' }
+      ]
+    }
+  ],
+  summary: data => [
+    `⏰ ${data.text}`,
+    `When: ${data.date || 'next occurrence'}${data.time ? ` at ${data.time}` : ''}`,
+    data.repeat ? `Repeats: ${data.repeat}` : null,
+    `Priority: ${data.priority || 'normal'}`
+  ].filter(Boolean).join('\n'),
+  confirmButton: { id: 'save', title: '💾 Save' },
+  cancelMessage: 'Reminder cancelled.'
+};
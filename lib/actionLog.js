@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+// Every action that actually ran (locally or through an outbound webhook),
+// with its params and result, for the admin dashboard. Only the most recent
+// ACTION_LOG_MAX_ENTRIES are kept in data/action-log.json.
+const ACTION_LOG_MAX_ENTRIES = parseInt(process.env.ACTION_LOG_MAX_ENTRIES, 10) || 1000;
+
+const store = createJsonStore('action-log.json', { entries: [] });
+
+function recordActionRun({ action, fromNumber, params, result, forwarded, startedAt }) {
+  const data = store.load();
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    fromNumber: fromNumber || null,
+    params,
+    success: Boolean(result && result.success),
+    message: result ? result.message : null,
+    forwarded: Boolean(forwarded),
+    durationMs: Date.now() - startedAt,
+    at: new Date(startedAt).toISOString()
+  };
+  data.entries.push(entry);
+  if (data.entries.length > ACTION_LOG_MAX_ENTRIES) {
+    data.entries = data.entries.slice(-ACTION_LOG_MAX_ENTRIES);
+  }
+  store.save();
+  return entry;
+}
+
+// Newest first. success is true/false to filter on the outcome.
+function listActionRuns({ fromNumber, action, success, limit = 100 } = {}) {
+  return store.load().entries
+    .filter(entry => !fromNumber || entry.fromNumber === fromNumber)
+    .filter(entry => !action || entry.action === action)
+    .filter(entry => success === undefined || entry.success === success)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = { recordActionRun, listActionRuns };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { validate, coerce } = require('./schema');
+const integrations = require('./integrations');
+const users = require('./users');
+const usage = require('./usage');
+const { recordActionRun } = require('./actionLog');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// Action registry. Each action module declares:
+//   name        - e.g. 'calendar.add'
+//   description - one line used in the Gemini prompt
+//   params      - JSON schema for the params object (property descriptions go into the prompt;
+//                 an optional `question` per property is asked when that param is missing)
+//   handler     - async (params, { fromNumber, userMessage }) => { success, message }
+//   mock        - optional { priority, match(lowercased text), response(userMessage, { now, timeZone }) }:
+//                 the rule-based answer used when no model is configured (see lib/extract.js)
+//   readOnly    - true for actions without side effects (weather, search); they run immediately
+//   requiresConfirmation - defaults to !readOnly; side-effecting actions are previewed and held
+//                 until the user confirms them
+//   preview     - optional (params, { fromNumber }) => string shown when asking for confirmation
+// Any action can also be routed to an outbound webhook, see lib/integrations.js.
+// Users can turn individual actions off in their settings (/settings actions).
+// A module may export a single action or an array of actions.
+const ACTIONS_DIR = process.env.ACTIONS_DIR || path.join(__dirname, '..', 'actions');
+
+const registry = new Map();
+
+function registerAction(definition) {
+  if (!definition || !definition.name || typeof definition.handler !== 'function') {
+    throw new Error('An action needs at least a name and a handler function');
+  }
+  if (registry.has(definition.name)) {
+    throw new Error(`Action ${definition.name} is already registered`);
+  }
+  registry.set(definition.name, {
+    description: '',
+    params: { type: 'object', properties: {} },
+    ...definition
+  });
+}
+
+// Load every .js module in the actions directory (sorted, so prompt order is stable)
+function loadActionsFromDirectory(directory = ACTIONS_DIR) {
+  if (!fs.existsSync(directory)) {
+    logger.warn('Actions directory not found, no actions loaded', { directory });
+    return [];
+  }
+  const loaded = [];
+  for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.js')).sort()) {
+    try {
+      const exported = require(path.join(directory, file));
+      for (const definition of [].concat(exported)) {
+        registerAction(definition);
+        loaded.push(definition.name);
+      }
+    } catch (error) {
+      logger.error('Failed to load action module', { file, error: error.message });
+    }
+  }
+  logger.info(`🧩 Loaded ${loaded.length} action(s): ${loaded.join(', ')}`);
+  return loaded;
+}
+
+function getAction(name) {
+  return registry.get(name);
+}
+
+// All actions, or only the ones `fromNumber` has enabled
+function listActions(fromNumber) {
+  const all = [...registry.values()];
+  return fromNumber ? all.filter(action => users.isActionEnabled(fromNumber, action.name)) : all;
+}
+
+function describeParams(schema) {
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) return 'no params';
+  const required = schema.required || [];
+  return properties.map(([key, property]) => {
+    const details = [property.description, property.enum ? `one of ${property.enum.join('|')}` : null]
+      .filter(Boolean).join('; ');
+    return `${key}${required.includes(key) ? ' (required)' : ''}${details ? `: ${details}` : ''}`;
+  }).join(', ');
+}
+
+// The "Available actions" section of the Gemini prompt
+function buildActionsPrompt(fromNumber) {
+  const lines = listActions(fromNumber).map((action, index) =>
+    `${index + 1}. ${action.name} - ${action.description} (params: ${describeParams(action.params)})`
+  );
+  lines.push(`${lines.length + 1}. none - No action required`);
+  return lines.join('\n');
+}
+
+function actionNames(fromNumber) {
+  return [...listActions(fromNumber).map(action => action.name), 'none'];
+}
+
+function requiresConfirmation(name) {
+  const action = getAction(name);
+  if (!action) return false;
+  if (action.requiresConfirmation !== undefined) return action.requiresConfirmation;
+  return !action.readOnly;
+}
+
+function formatParamValue(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Human readable summary of what an action is about to do
+function buildPreview(name, params, context = {}) {
+  const action = getAction(name);
+  if (action && action.preview) return action.preview(params, context);
+  const lines = Object.entries(params || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${formatParamValue(value)}`);
+  return `${action ? action.description : name}\n${lines.join('\n')}`;
+}
+
+function editableFields(name) {
+  const action = getAction(name);
+  return action ? Object.keys(action.params.properties || {}) : [];
+}
+
+function normalizeParams(name, params) {
+  const action = getAction(name);
+  return action ? coerce(action.params, params || {}) : params || {};
+}
+
+function validateParams(name, params) {
+  const action = getAction(name);
+  if (!action) return [{ path: 'action', keyword: 'action', message: `Unknown action: ${name}` }];
+  return validate(action.params, params || {});
+}
+
+// Check a parsed model response ({ reply, action, params }). Returns the
+// response with coerced params plus the problems found, split into
+// `missing` (required params the user has not given yet) and `errors`
+// (anything malformed that the model should be asked to fix).
+function checkActionResponse(response) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return { response, errors: [{ path: 'response', message: 'response must be a JSON object with reply, action and params' }], missing: [] };
+  }
+  const errors = [];
+  if (typeof response.reply !== 'string') {
+    errors.push({ path: 'reply', message: 'reply must be a string' });
+  }
+  const action = response.action || 'none';
+  if (!actionNames().includes(action)) {
+    errors.push({ path: 'action', message: `action must be one of: ${actionNames().join(', ')}` });
+    return { response, errors, missing: [] };
+  }
+  if (action === 'none') {
+    return { response: { ...response, action, params: {} }, errors, missing: [] };
+  }
+
+  const params = normalizeParams(action, response.params);
+  const problems = validateParams(action, params);
+  return {
+    response: { ...response, action, params },
+    errors: errors.concat(problems.filter(problem => problem.keyword !== 'required')),
+    missing: problems.filter(problem => problem.keyword === 'required').map(problem => problem.param)
+  };
+}
+
+// Question to send back over WhatsApp when required params are missing
+function clarificationQuestion(name, missing) {
+  const action = getAction(name);
+  const properties = (action && action.params.properties) || {};
+  const questions = missing.map(key => (properties[key] && properties[key].question) || `What's the ${key}?`);
+  return questions.length === 1 ? questions[0] : `I need a bit more information:\n${questions.map(question => `- ${question}`).join('\n')}`;
+}
+
+// Validate and run an action by name
+async function dispatchAction(name, params, context) {
+  if (name === 'none') {
+    return { success: true, message: 'No action needed' };
+  }
+  const action = getAction(name);
+  if (!action) {
+    return { success: false, message: `Unknown action: ${name}` };
+  }
+  if (context && !users.isActionEnabled(context.fromNumber, name)) {
+    return { success: false, message: `${name} is turned off in your settings. Turn it back on with /settings actions ${name} on` };
+  }
+  params = normalizeParams(name, params);
+  const errors = validateParams(name, params);
+  if (errors.length > 0) {
+    return {
+      success: false,
+      message: `I couldn't run ${name}: ${errors.map(error => error.message).join('; ')}`,
+      errors
+    };
+  }
+  // Actions routed to a webhook are performed there instead
+  const forwarded = integrations.isForwarded(name);
+  const startedAt = Date.now();
+  const fromNumber = context && context.fromNumber;
+  let result;
+  try {
+    if (forwarded) {
+      result = await integrations.forwardAction(name, params, context);
+    } else {
+      result = await action.handler(params || {}, context);
+      if (integrations.isMirrored(name)) {
+        integrations.mirrorAction(name, params, context, result);
+      }
+    }
+  } catch (error) {
+    recordActionRun({ action: name, fromNumber, params, result: { success: false, message: error.message }, forwarded, startedAt });
+    metrics.recordAction(name, 'error', (Date.now() - startedAt) / 1000);
+    throw error;
+  }
+  recordActionRun({ action: name, fromNumber, params, result, forwarded, startedAt });
+  metrics.recordAction(name, result.success ? 'success' : 'failure', (Date.now() - startedAt) / 1000);
+  usage.recordAction(fromNumber, name, result.success);
+  return result;
+}
+
+// Offline stand-in for Gemini: the highest-priority action whose mock matches
+// the message answers it. Params the message didn't give are left out, so
+// required ones get asked for like with Gemini.
+function getMockResponse(userMessage, { now = new Date(), timeZone } = {}) {
+  const candidates = listActions()
+    .filter(action => action.mock && action.mock.match(userMessage.toLowerCase()))
+    .sort((a, b) => (b.mock.priority || 0) - (a.mock.priority || 0));
+  if (candidates.length === 0) return null;
+
+  const action = candidates[0];
+  const response = action.mock.response(userMessage, { now, timeZone });
+  const params = Object.fromEntries(Object.entries(response.params || {}).filter(([, value]) => value !== undefined && value !== ''));
+  return { reply: response.reply, action: action.name, params };
+}
+
+module.exports = {
+  registerAction,
+  loadActionsFromDirectory,
+  getAction,
+  listActions,
+  actionNames,
+  buildActionsPrompt,
+  validateParams,
+  normalizeParams,
+  requiresConfirmation,
+  buildPreview,
+  editableFields,
+  checkActionResponse,
+  clarificationQuestion,
+  dispatchAction,
+  getMockResponse
+};
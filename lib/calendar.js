@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const {
+  isValidDate, isValidTime, isValidTimeZone, toLocalDateString, combineDateTime, addDays, formatDate, formatTime, formatDateTime
+} = require('./dates');
+const users = require('./users');
+const { logger } = require('./logger');
+
+// Calendar events are persisted to data/calendar.json, keyed by owner phone number.
+// Dates and times are read and shown in the owner's timezone (see lib/users.js).
+const store = createJsonStore('calendar.json', { nextId: 1, events: [] });
+
+const DEFAULT_EVENT_MINUTES = 60;
+// Secret used to sign per-user ICS feed links; without it the feed is turned off
+const CALENDAR_FEED_SECRET = process.env.CALENDAR_FEED_SECRET;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+function getEvents(fromNumber, { from, to } = {}) {
+  return store.load().events
+    .filter(event => event.fromNumber === fromNumber)
+    .filter(event => !to || new Date(event.start) < to)
+    .filter(event => !from || new Date(event.end) > from)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+// Events that overlap the given time range. All-day events only clash with other all-day events.
+function findConflicts(fromNumber, start, end, { allDay = false, ignoreId } = {}) {
+  return getEvents(fromNumber, { from: start, to: end })
+    .filter(event => event.id !== ignoreId)
+    .filter(event => event.allDay === allDay);
+}
+
+function formatEventLine(event) {
+  if (event.allDay) return `📅 #${event.id} ${event.title} (all day)`;
+  const timeZone = users.getTimeZone(event.fromNumber);
+  return `📅 #${event.id} ${formatTime(event.start, timeZone)}-${formatTime(event.end, timeZone)} ${event.title}`;
+}
+
+// Turn AI params (title, date, time, duration, description) into a start/end range
+function buildEventTimes(params, timeZone) {
+  if (!isValidDate(params.date)) return null;
+  if (!isValidTime(params.time)) {
+    const start = combineDateTime(params.date, '00:00', timeZone);
+    const end = combineDateTime(addDays(params.date, 1), '00:00', timeZone);
+    return { start, end, allDay: true };
+  }
+  const start = combineDateTime(params.date, params.time, timeZone);
+  const minutes = parseInt(params.duration, 10) > 0 ? parseInt(params.duration, 10) : DEFAULT_EVENT_MINUTES;
+  return { start, end: new Date(start.getTime() + minutes * 60000), allDay: false };
+}
+
+function insertEvent(fromNumber, { title, description = '', start, end, allDay, uid, source }) {
+  const data = store.load();
+  const event = {
+    id: data.nextId++,
+    uid: uid || `${crypto.randomUUID()}@whatsapp-gemini-bot`,
+    fromNumber,
+    title,
+    description,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    allDay,
+    source,
+    createdAt: new Date().toISOString()
+  };
+  data.events.push(event);
+  return event;
+}
+
+// Create an event from the AI params. The event is saved even when it
+// overlaps something else, but the reply calls the overlap out.
+function addEvent(fromNumber, params = {}) {
+  const title = (params.title || '').trim();
+  if (!title) {
+    return { success: false, message: 'What should I call the event?' };
+  }
+  const timeZone = users.getTimeZone(fromNumber);
+  const times = buildEventTimes(params, timeZone);
+  if (!times) {
+    return { success: false, message: `When is "${title}"? I need a date like 2024-05-31.` };
+  }
+
+  const conflicts = findConflicts(fromNumber, times.start, times.end, { allDay: times.allDay });
+  const event = insertEvent(fromNumber, {
+    title,
+    description: params.description || '',
+    ...times,
+    source: 'whatsapp'
+  });
+  store.save();
+
+  logger.info(`Calendar event #${event.id} created`, { fromNumber, start: event.start });
+  let message = times.allDay
+    ? `Added "${title}" on ${formatDate(event.start, timeZone)} (all day)`
+    : `Added "${title}" on ${formatDateTime(event.start, timeZone)}`;
+  if (conflicts.length > 0) {
+    message += `\n\n⚠️ This overlaps with:\n${conflicts.map(formatEventLine).join('\n')}`;
+  }
+  return { success: true, message, data: event, conflicts };
+}
+
+// List events for a day (params.date, defaults to today) or a number of days from it
+function listEvents(fromNumber, params = {}) {
+  const timeZone = users.getTimeZone(fromNumber);
+  const date = isValidDate(params.date) ? params.date : toLocalDateString(new Date(), timeZone);
+  const days = Math.min(Math.max(parseInt(params.days, 10) || 1, 1), 31);
+  const from = combineDateTime(date, '00:00', timeZone);
+  const to = combineDateTime(addDays(date, days), '00:00', timeZone);
+
+  const events = getEvents(fromNumber, { from, to });
+  const label = days === 1 ? formatDate(from, timeZone) : `${formatDate(from, timeZone)} - ${formatDate(new Date(to.getTime() - 1), timeZone)}`;
+  if (events.length === 0) {
+    return { success: true, message: `Nothing on your calendar for ${label}.` };
+  }
+
+  // Group by day when listing a range
+  const lines = [];
+  let currentDay = null;
+  for (const event of events) {
+    const day = toLocalDateString(new Date(event.start), timeZone);
+    if (days > 1 && day !== currentDay) {
+      lines.push(`\n*${formatDate(event.start, timeZone)}*`);
+      currentDay = day;
+    }
+    lines.push(formatEventLine(event));
+  }
+  return { success: true, message: `Your calendar for ${label}:\n${lines.join('\n')}`, data: events };
+}
+
+function deleteEvent(fromNumber, id) {
+  const eventId = parseInt(String(id).replace('#', ''), 10);
+  const data = store.load();
+  const event = data.events.find(existing => existing.id === eventId && existing.fromNumber === fromNumber);
+  if (!event) {
+    return { success: false, message: `No event #${id} on your calendar.` };
+  }
+  data.events = data.events.filter(existing => existing !== event);
+  store.save();
+  return { success: true, message: `Removed "${event.title}" from your calendar.` };
+}
+
+// --- ICS (RFC 5545) import/export ---
+
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcsText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// Lines longer than 75 octets must be folded onto continuation lines
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toIcsUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function toIcsDate(date, timeZone) {
+  return toLocalDateString(new Date(date), timeZone).replace(/-/g, '');
+}
+
+function exportIcs(fromNumber) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WhatsApp Gemini Bot//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:WhatsApp Assistant'
+  ];
+  const stamp = toIcsUtc(new Date());
+  const timeZone = users.getTimeZone(fromNumber);
+  for (const event of getEvents(fromNumber)) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${toIcsDate(event.start, timeZone)}`);
+      lines.push(`DTEND;VALUE=DATE:${toIcsDate(event.end, timeZone)}`);
+    } else {
+      lines.push(`DTSTART:${toIcsUtc(event.start)}`);
+      lines.push(`DTEND:${toIcsUtc(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Parse DTSTART/DTEND values: 20240531, 20240531T150000 (in its TZID, or the
+// calendar owner's timezone when floating) or 20240531T150000Z (UTC)
+function parseIcsDate(value, params, timeZone) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!hours || params.VALUE === 'DATE') {
+    return { date: combineDateTime(date, '00:00', timeZone), allDay: true };
+  }
+  if (utc) {
+    return { date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0))), allDay: false };
+  }
+  const zone = isValidTimeZone(params.TZID) ? params.TZID : timeZone;
+  const start = combineDateTime(date, `${hours}:${minutes}`, zone);
+  return { date: new Date(start.getTime() + Number(seconds || 0) * 1000), allDay: false };
+}
+
+// ISO 8601 durations as used by DURATION, e.g. PT1H30M or P1D
+function parseIcsDuration(value) {
+  const match = (value || '').match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, weeks, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function parseIcs(text, timeZone) {
+  // Unfold continuation lines first
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = Object.fromEntries(paramParts.map(part => part.split('=')));
+    current[name.toUpperCase()] = { value: line.slice(colon + 1), params };
+  }
+
+  return events
+    .map(raw => {
+      if (!raw.DTSTART) return null;
+      const start = parseIcsDate(raw.DTSTART.value, raw.DTSTART.params, timeZone);
+      if (!start) return null;
+      let end = raw.DTEND ? parseIcsDate(raw.DTEND.value, raw.DTEND.params, timeZone) : null;
+      if (!end) {
+        const duration = raw.DURATION ? parseIcsDuration(raw.DURATION.value) : null;
+        const fallback = start.allDay ? 86400000 : DEFAULT_EVENT_MINUTES * 60000;
+        end = { date: new Date(start.date.getTime() + (duration || fallback)) };
+      }
+      return {
+        uid: raw.UID ? raw.UID.value : undefined,
+        title: unescapeIcsText(raw.SUMMARY ? raw.SUMMARY.value : 'Untitled event'),
+        description: unescapeIcsText(raw.DESCRIPTION ? raw.DESCRIPTION.value : ''),
+        start: start.date,
+        end: end.date,
+        allDay: start.allDay
+      };
+    })
+    .filter(Boolean);
+}
+
+// Seed a user's calendar from an .ics file. Events whose UID is already on
+// the calendar are updated in place instead of duplicated.
+function importIcs(fromNumber, icsText) {
+  const parsed = parseIcs(icsText, users.getTimeZone(fromNumber));
+  if (parsed.length === 0) {
+    return { success: false, message: 'No events found in that calendar file.', imported: 0, updated: 0 };
+  }
+
+  const data = store.load();
+  let imported = 0;
+  let updated = 0;
+  for (const event of parsed) {
+    const existing = event.uid && data.events.find(item => item.fromNumber === fromNumber && item.uid === event.uid);
+    if (existing) {
+      Object.assign(existing, {
+        title: event.title,
+        description: event.description,
+        start: event.start.toISOString(),
+        end: event.end.toISOString(),
+        allDay: event.allDay
+      });
+      updated++;
+    } else {
+      insertEvent(fromNumber, { ...event, source: 'ics' });
+      imported++;
+    }
+  }
+  store.save();
+
+  return {
+    success: true,
+    message: `Imported ${imported} event(s)${updated ? ` and updated ${updated}` : ''} into your calendar.`,
+    imported,
+    updated
+  };
+}
+
+function feedToken(fromNumber) {
+  if (!CALENDAR_FEED_SECRET) return null;
+  return crypto.createHmac('sha256', CALENDAR_FEED_SECRET).update(fromNumber).digest('hex').slice(0, 32);
+}
+
+function isFeedEnabled() {
+  return Boolean(CALENDAR_FEED_SECRET);
+}
+
+function verifyFeedToken(fromNumber, token) {
+  const expected = feedToken(fromNumber);
+  if (!expected) return false;
+  return typeof token === 'string' && token.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// null while the feed is turned off
+function feedUrl(fromNumber) {
+  const token = feedToken(fromNumber);
+  if (!token) return null;
+  return `${PUBLIC_BASE_URL}/api/calendar/${fromNumber}.ics?token=${token}`;
+}
+
+module.exports = {
+  addEvent,
+  listEvents,
+  deleteEvent,
+  getEvents,
+  findConflicts,
+  buildEventTimes,
+  formatEventLine,
+  exportIcs,
+  importIcs,
+  parseIcs,
+  isFeedEnabled,
+  verifyFeedToken,
+  feedUrl
+};
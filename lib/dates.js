@@ -0,0 +1,178 @@
+// Date helpers shared by reminders and the calendar. Dates from Gemini come
+// as YYYY-MM-DD and times as HH:MM and are interpreted in the user's timezone
+// (an IANA name like "Europe/Berlin"). Without a timezone the server's local
+// timezone is used.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+
+// Also rejects days a month doesn't have (2023-02-29), which Date would roll over
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidTime(value) {
+  if (!TIME_PATTERN.test(value || '')) return false;
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours <= 23 && minutes <= 59;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of `date` as seen in `timeZone`
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hours: get('hour'), minutes: get('minute'), seconds: get('second') };
+}
+
+// How far `timeZone` is ahead of UTC at the given instant, in milliseconds
+function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hours, minutes, seconds } = zonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function toLocalDateString(date, timeZone) {
+  if (timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toLocalTimeString(date, timeZone) {
+  if (timeZone) {
+    const { hours, minutes } = zonedParts(date, timeZone);
+    return `${pad(hours)}:${pad(minutes)}`;
+  }
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Combine a YYYY-MM-DD date and HH:MM time into a Date
+function combineDateTime(date, time, timeZone) {
+  const [hours, minutes] = (isValidTime(time) ? time : '00:00').split(':').map(Number);
+  if (timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    // The offset may differ on either side of a DST change, so check it again at the result
+    let result = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+    const offset = timeZoneOffset(new Date(result), timeZone);
+    if (wallClock - offset !== result) result = wallClock - offset;
+    return new Date(result);
+  }
+  const result = new Date(`${date}T00:00:00`);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of any timezone
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return result.toISOString().slice(0, 10);
+}
+
+// Shorter months end the step early: 2024-01-31 plus one month is 2024-02-29
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  return withDayOfMonth(new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10), day);
+}
+
+// The same month on another day, or on its last day when it is shorter
+function withDayOfMonth(date, day) {
+  const [year, month] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday, like Date#getDay
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Pull a time out of phrases like "at 9", "at 9:30", "at 5pm"
+function parseTimeOfDay(text) {
+  if (!text) return null;
+  const match = text.toLowerCase().match(/\bat (\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Turn what a user types for a day ("today", "tomorrow", "friday", "next monday",
+// "2024-05-01") into YYYY-MM-DD. Returns null when it can't be understood.
+function parseDateText(text, { now = new Date(), timeZone } = {}) {
+  const value = (text || '').trim().toLowerCase();
+  if (isValidDate(value)) return value;
+  const today = toLocalDateString(now, timeZone);
+  if (value === 'today') return today;
+  if (value === 'tomorrow') return addDays(today, 1);
+  const weekday = WEEKDAYS.findIndex(day => value.replace(/^next\s+/, '') === day || value.replace(/^next\s+/, '') === day.slice(0, 3));
+  if (weekday === -1) return null;
+  // Always a future day: "monday" on a Monday means next week
+  return addDays(today, ((weekday - weekdayOf(today)) + 6) % 7 + 1);
+}
+
+// Turn "17:30", "5pm" or "at 9:15 am" into HH:MM. Returns null when it can't be understood.
+function parseTimeText(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (isValidTime(value)) return value.padStart(5, '0');
+  return parseTimeOfDay(`at ${value.replace(/^at\s+/, '')}`);
+}
+
+function formatDateTime(value, timeZone) {
+  return new Date(value).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone
+  });
+}
+
+function formatDate(value, timeZone) {
+  return new Date(value).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone });
+}
+
+function formatTime(value, timeZone) {
+  return new Date(value).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+module.exports = {
+  isValidDate,
+  isValidTime,
+  isValidTimeZone,
+  toLocalDateString,
+  toLocalTimeString,
+  combineDateTime,
+  addDays,
+  addMonths,
+  withDayOfMonth,
+  weekdayOf,
+  parseTimeOfDay,
+  parseDateText,
+  parseTimeText,
+  formatDateTime,
+  formatDate,
+  formatTime
+};
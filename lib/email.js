@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { createJsonStore, DATA_DIR } = require('./store');
+const { splitList } = require('./schema');
+const users = require('./users');
+const { logger } = require('./logger');
+
+// Built-in email transport. Pick one with EMAIL_TRANSPORT:
+//   smtp - send through SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS.
+//          A local sink such as MailHog or smtp4dev works with SMTP_HOST=localhost SMTP_PORT=1025.
+//   sink - write each message as an .eml file to data/outbox/ instead of sending it
+// Without a transport, email.send has to be routed to an outbound integration
+// (integrations.json or EMAIL_WEBHOOK_URL), which takes precedence anyway.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_URL || process.env.SMTP_HOST ? 'smtp' : '');
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.SMTP_USER || 'assistant@localhost';
+const OUTBOX_DIR = path.join(DATA_DIR, 'outbox');
+const SEND_TIMEOUT_MS = 15000;
+
+// Every send attempt and its outcome, so "did it go out?" has an answer
+const store = createJsonStore('emails.json', { emails: [] });
+
+let transporter = null;
+
+function createTransporter() {
+  switch (EMAIL_TRANSPORT) {
+    case 'smtp': {
+      const timeouts = { connectionTimeout: SEND_TIMEOUT_MS, greetingTimeout: SEND_TIMEOUT_MS, socketTimeout: SEND_TIMEOUT_MS };
+      if (process.env.SMTP_URL) return nodemailer.createTransport(process.env.SMTP_URL, timeouts);
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        ...timeouts
+      });
+    }
+    case 'sink':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    default:
+      return null;
+  }
+}
+
+function getTransporter() {
+  if (!transporter) transporter = createTransporter();
+  return transporter;
+}
+
+function isConfigured() {
+  return Boolean(EMAIL_TRANSPORT);
+}
+
+function recordEmail(entry) {
+  const data = store.load();
+  data.emails.push(entry);
+  store.save();
+  return entry;
+}
+
+function getEmails({ fromNumber } = {}) {
+  return store.load().emails.filter(email => !fromNumber || email.fromNumber === fromNumber);
+}
+
+// Send { to, subject, body, cc, bcc } (comma separated address lists) with
+// optional attachments [{ filename, content (Buffer), contentType }]. The sender's
+// signature setting is appended to the body.
+async function sendEmail(params, fromNumber, { attachments = [] } = {}) {
+  if (!isConfigured()) {
+    logger.warn('Email requested but no email transport or integration is configured', { fromNumber });
+    return {
+      success: false,
+      message: 'Email is not set up yet. Configure SMTP (EMAIL_TRANSPORT=smtp), or route email.send to an integration in integrations.json.'
+    };
+  }
+
+  const { signature } = users.getSettings(fromNumber);
+  const message = {
+    from: EMAIL_FROM,
+    to: splitList(params.to || ''),
+    cc: params.cc ? splitList(params.cc) : undefined,
+    bcc: params.bcc ? splitList(params.bcc) : undefined,
+    subject: params.subject || '(no subject)',
+    text: signature ? `${params.body || ''}\n\n-- \n${signature}` : params.body || '',
+    attachments
+  };
+  const entry = {
+    id: crypto.randomUUID(),
+    fromNumber,
+    to: message.to,
+    cc: message.cc || [],
+    bcc: message.bcc || [],
+    subject: message.subject,
+    attachments: attachments.map(attachment => attachment.filename),
+    transport: EMAIL_TRANSPORT,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    const info = await getTransporter().sendMail(message);
+    if (EMAIL_TRANSPORT === 'sink') {
+      fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+      fs.writeFileSync(path.join(OUTBOX_DIR, `${entry.id}.eml`), info.message);
+    }
+    // The sink accepts everything; SMTP servers report per-recipient results
+    const accepted = (info.accepted || [...message.to, ...(message.cc || []), ...(message.bcc || [])]).map(String);
+    const rejected = (info.rejected || []).map(String);
+    recordEmail({ ...entry, status: accepted.length > 0 ? 'sent' : 'failed', messageId: info.messageId, accepted, rejected, response: info.response });
+    logger.info(`📧 Email ${entry.id} sent`, { fromNumber, accepted, rejected });
+
+    if (accepted.length === 0) {
+      return { success: false, message: `The mail server rejected every recipient (${rejected.join(', ')}). Nothing was sent.` };
+    }
+    const attached = attachments.length > 0 ? ` with ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}` : '';
+    const partial = rejected.length > 0 ? ` These addresses were rejected: ${rejected.join(', ')}.` : '';
+    return { success: true, message: `Email "${message.subject}" sent to ${accepted.join(', ')}${attached}.${partial}`, data: { id: entry.id, messageId: info.messageId } };
+  } catch (error) {
+    logger.error('Error sending email', { fromNumber, error: error.message });
+    recordEmail({ ...entry, status: 'failed', error: error.message });
+    return { success: false, message: `The email could not be sent: ${error.message}` };
+  }
+}
+
+module.exports = { sendEmail, getEmails, isConfigured };
@@ -0,0 +1,165 @@
+const { isValidDate, isValidTime, toLocalDateString, toLocalTimeString, addDays, parseDateText } = require('./dates');
+
+// Rule-based extraction of dates, times, email addresses and places from a
+// user's message. The offline answers of the actions (their `mock`, used when
+// no model is configured) build their params with these, so local runs get
+// the same kind of params Gemini would give.
+//
+// Finders return what they found plus the `match`ed part of the text, so the
+// rest of the message can be used as e.g. the reminder text (see removeMatches).
+// Dates are YYYY-MM-DD and times HH:MM, as in the action schemas.
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTH_NAMES = `${MONTHS.join('|')}|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec`;
+const WEEKDAY_NAMES = `${WEEKDAYS.join('|')}|mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun`;
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+// Words that end a place name ("in Paris tomorrow", "for Berlin please")
+const PLACE_STOP_WORDS = new Set([
+  'today', 'tomorrow', 'tonight', 'now', 'this', 'next', 'on', 'at', 'in', 'for', 'by', 'with', 'and', 'or', 'to',
+  'please', 'weekend', 'week', 'morning', 'afternoon', 'evening', 'the', 'a', 'an', 'me', 'my', 'it', 'is', 'be',
+  'like', 'right', 'later', 'soon', 'celsius', 'fahrenheit', ...WEEKDAYS, ...MONTHS
+]);
+
+function toNumber(word) {
+  return NUMBER_WORDS[word.toLowerCase()] || parseInt(word, 10);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function findEmails(text) {
+  return [...new Set((text || '').match(EMAIL_PATTERN) || [])];
+}
+
+// "today", "tomorrow", "the day after tomorrow", "in 3 days", "next friday",
+// "on 5 May", "June 3rd" or "2024-05-01". Dates without a year are the next one to come.
+function findDate(text, { now = new Date(), timeZone } = {}) {
+  const value = text || '';
+  const today = toLocalDateString(now, timeZone);
+  let match;
+
+  if ((match = value.match(/\b(?:on\s+)?(\d{4}-\d{2}-\d{2})\b/i)) && isValidDate(match[1])) {
+    return { date: match[1], match: match[0] };
+  }
+  if ((match = value.match(/\b(?:on\s+)?(?:the\s+)?day after tomorrow\b/i))) {
+    return { date: addDays(today, 2), match: match[0] };
+  }
+  if ((match = value.match(/\b(?:today|tonight|this (?:morning|afternoon|evening))\b/i))) {
+    return { date: today, match: match[0] };
+  }
+  if ((match = value.match(/\btomorrow(?: (?:morning|afternoon|evening|night))?\b/i))) {
+    return { date: addDays(today, 1), match: match[0] };
+  }
+  if ((match = value.match(new RegExp(`\\bin (${COUNT}) (days?|weeks?)\\b`, 'i')))) {
+    const days = toNumber(match[1]) * (match[2].toLowerCase().startsWith('week') ? 7 : 1);
+    return { date: addDays(today, days), match: match[0] };
+  }
+  if ((match = value.match(new RegExp(`\\b(?:on\\s+)?(?:(?:next|this)\\s+)?(${WEEKDAY_NAMES})\\b`, 'i')))) {
+    return { date: parseDateText(match[1], { now, timeZone }), match: match[0] };
+  }
+
+  const dayFirst = value.match(new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+(${MONTH_NAMES})\\b`, 'i'));
+  const monthFirst = value.match(new RegExp(`\\b(?:on\\s+)?(${MONTH_NAMES})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+  if (dayFirst || monthFirst) {
+    const [matched, day, monthName] = dayFirst ? dayFirst : [monthFirst[0], monthFirst[2], monthFirst[1]];
+    const month = MONTHS.findIndex(name => name.startsWith(monthName.toLowerCase().slice(0, 3))) + 1;
+    const year = Number(today.slice(0, 4));
+    let date = `${year}-${pad(month)}-${pad(day)}`;
+    if (date < today) date = `${year + 1}-${pad(month)}-${pad(day)}`;
+    if (isValidDate(date)) return { date, match: matched };
+  }
+  return null;
+}
+
+// "at 9", "9:30", "5pm", "at 17:45", "noon" or "midnight"
+function findTime(text) {
+  const value = text || '';
+  let match;
+
+  if ((match = value.match(/\b(?:at\s+)?(noon|midday|midnight)\b/i))) {
+    return { time: /midnight/i.test(match[1]) ? '00:00' : '12:00', match: match[0] };
+  }
+  const patterns = [
+    /\b(?:at\s+)?(\d{1,2})[:.](\d{2})\s*(am|pm|a\.m\.|p\.m\.)?(?![\d.:])/i,
+    /\b(?:at\s+)?(\d{1,2})()\s*(am|pm|a\.m\.|p\.m\.)(?!\w)/i,
+    /\bat\s+(\d{1,2})()()(?![\d:.]|\s*(?:%|percent|days?|weeks?|hours?|minutes?|mins?))\b/i
+  ];
+  for (const pattern of patterns) {
+    match = value.match(pattern);
+    if (!match) continue;
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = (match[3] || '').toLowerCase().replace(/\./g, '');
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    const time = `${pad(hours)}:${pad(minutes)}`;
+    if (isValidTime(time)) return { time, match: match[0], meridiem: Boolean(meridiem) };
+  }
+  return null;
+}
+
+// "in 20 minutes", "in an hour", "in 2 hours" -> the date and time it will be then
+function findRelativeTime(text, { now = new Date(), timeZone } = {}) {
+  const match = (text || '').match(new RegExp(`\\bin (${COUNT}|half an) (minutes?|mins?|hours?|hrs?)\\b`, 'i'));
+  if (!match) return null;
+  const amount = /half/i.test(match[1]) ? 0.5 : toNumber(match[1]);
+  const minutes = /^h/i.test(match[2]) ? amount * 60 : amount;
+  const then = new Date(now.getTime() + minutes * 60 * 1000);
+  return { date: toLocalDateString(then, timeZone), time: toLocalTimeString(then, timeZone), match: match[0] };
+}
+
+// The date and time a message talks about: { date, time, matches }. Either may be missing.
+function findWhen(text, context = {}) {
+  const relative = findRelativeTime(text, context);
+  if (relative) return { date: relative.date, time: relative.time, matches: [relative.match] };
+  const date = findDate(text, context);
+  const time = findTime(text);
+  // "at 7 tonight" is 19:00
+  if (time && !time.meridiem && date && /tonight|afternoon|evening|night/i.test(date.match) && Number(time.time.slice(0, 2)) < 12) {
+    time.time = `${pad(Number(time.time.slice(0, 2)) + 12)}${time.time.slice(2)}`;
+  }
+  return {
+    date: date ? date.date : undefined,
+    time: time ? time.time : undefined,
+    matches: [date && date.match, time && time.match].filter(Boolean)
+  };
+}
+
+// A place after "in", "at", "for" or "near": "weather in New York tomorrow" -> New York.
+// Capitalized names win over lowercase ones ("for tomorrow in Paris").
+function findLocation(text) {
+  const candidates = [];
+  const pattern = /\b(?:in|at|for|near)\s+([A-Za-zÀ-ɏ][\wÀ-ɏ'.-]*(?:\s+[A-Za-zÀ-ɏ][\wÀ-ɏ'.-]*){0,3})/gi;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    const preposition = match[0].split(/\s+/)[0];
+    // The next search starts right after the preposition, in case this one swallowed another
+    pattern.lastIndex = match.index + preposition.length;
+    const words = [];
+    for (const word of match[1].split(/\s+/)) {
+      if (PLACE_STOP_WORDS.has(word.toLowerCase().replace(/[.'-]+$/, ''))) break;
+      words.push(word);
+    }
+    const location = words.join(' ').replace(/[.'-]+$/, '');
+    if (!location) continue;
+    candidates.push({ location, match: `${preposition} ${location}`, capitalized: /^[A-ZÀ-Þ]/.test(location) });
+  }
+  return candidates.find(candidate => candidate.capitalized) || candidates[0] || null;
+}
+
+// The text with the matched parts taken out and the gaps tidied up
+function removeMatches(text, matches) {
+  let result = text || '';
+  for (const match of matches.filter(Boolean)) result = result.replace(match, ' ');
+  return result
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^[\s,.;:!?-]+|[\s,;:-]+$/g, '')
+    .trim();
+}
+
+module.exports = { findEmails, findDate, findTime, findRelativeTime, findWhen, findLocation, removeMatches };
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const actions = require('./actions');
+const { validate, coerce } = require('./schema');
+const { getStateStore } = require('./stateStore');
+const { logger } = require('./logger');
+
+// Guided multi-step conversations (the /email wizard and friends). Each flow
+// module in the flows/ directory declares:
+//   name          - e.g. 'email'
+//   command       - the slash command that starts it, e.g. '/email'
+//   action        - action run with the collected data once the user confirms
+//                   (alternatively `finish: async (data, { fromNumber }) => { success, message }`)
+//   steps         - [{ key, label, prompt, optional, schema, parse, validate, hint, choices }]
+//                     prompt   - string or (data) => string
+//                     optional - the user may reply *skip*
+//                     schema   - JSON schema for the value; defaults to the action's param schema for `key`
+//                     parse    - (text, data, { fromNumber }) => value, or null when the text can't be understood
+//                     validate - (value, data) => error message or null
+//                     hint     - what to say when the answer can't be used (e.g. the expected format)
+//                     choices  - [{ id, title }] offered as buttons (or a list when there are more than three)
+//   summary       - optional (data, { fromNumber }) => string shown before confirming;
+//                   defaults to the action's preview
+//   confirmButton - optional { id, title } for the confirm button
+//   cancelMessage - optional reply when the user cancels
+// Replies *cancel* and *back* work on every step, *skip* on optional steps.
+const FLOWS_DIR = process.env.FLOWS_DIR || path.join(__dirname, '..', 'flows');
+// Idle flows are forgotten after this long; every step renews it
+const FLOW_TTL_MS = 10 * 60 * 1000;
+
+const CANCEL_WORDS = ['cancel', '/cancel'];
+const BACK_WORDS = ['back', '/back'];
+const SKIP_WORDS = ['skip', '/skip'];
+const CONFIRM_WORDS = ['yes', 'y', 'confirm', 'ok', 'okay', 'send', 'save'];
+const CONFIRM_STEP = 'confirm';
+
+const registry = new Map();
+
+function registerFlow(definition) {
+  if (!definition || !definition.name || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error('A flow needs at least a name and one step');
+  }
+  if (!definition.action && typeof definition.finish !== 'function') {
+    throw new Error(`Flow ${definition.name} needs an action or a finish function`);
+  }
+  if (registry.has(definition.name)) {
+    throw new Error(`Flow ${definition.name} is already registered`);
+  }
+  registry.set(definition.name, definition);
+}
+
+function loadFlowsFromDirectory(directory = FLOWS_DIR) {
+  if (!fs.existsSync(directory)) {
+    logger.warn('Flows directory not found, no flows loaded', { directory });
+    return [];
+  }
+  const loaded = [];
+  for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.js')).sort()) {
+    try {
+      const exported = require(path.join(directory, file));
+      for (const definition of [].concat(exported)) {
+        registerFlow(definition);
+        loaded.push(definition.name);
+      }
+    } catch (error) {
+      logger.error('Failed to load flow module', { file, error: error.message });
+    }
+  }
+  logger.info(`🧭 Loaded ${loaded.length} flow(s): ${loaded.join(', ')}`);
+  return loaded;
+}
+
+function getFlow(name) {
+  return registry.get(name);
+}
+
+function getFlowByCommand(command) {
+  return [...registry.values()].find(flow => flow.command === command);
+}
+
+function listFlows() {
+  return [...registry.values()];
+}
+
+// Flow state is kept in the shared state store under flow:<number>
+function stateKey(fromNumber) {
+  return `flow:${fromNumber}`;
+}
+
+async function getFlowState(fromNumber) {
+  return await getStateStore().get(stateKey(fromNumber));
+}
+
+async function saveFlowState(fromNumber, state) {
+  state.timestamp = Date.now();
+  await getStateStore().set(stateKey(fromNumber), state, FLOW_TTL_MS);
+}
+
+async function clearFlowState(fromNumber) {
+  await getStateStore().delete(stateKey(fromNumber));
+}
+
+// Every flow in progress, most recently active first (for the admin dashboard)
+async function listActiveFlows() {
+  const stateStore = getStateStore();
+  const active = [];
+  for (const key of await stateStore.keys(stateKey(''))) {
+    const state = await stateStore.get(key);
+    if (!state) continue;
+    active.push({
+      fromNumber: key.slice(stateKey('').length),
+      flow: state.flow,
+      step: state.step,
+      data: state.data,
+      updatedAt: new Date(state.timestamp).toISOString(),
+      expiresAt: new Date(state.timestamp + FLOW_TTL_MS).toISOString()
+    });
+  }
+  return active.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function findStep(flow, key) {
+  return flow.steps.find(step => step.key === key);
+}
+
+function stepLabel(step) {
+  return step.label || step.key;
+}
+
+function stepSchema(flow, step) {
+  if (step.schema) return step.schema;
+  const action = flow.action && actions.getAction(flow.action);
+  return (action && action.params.properties && action.params.properties[step.key]) || null;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// Data passed to the final action: skipped fields are left out
+function collectedParams(state) {
+  return Object.fromEntries(Object.entries(state.data).filter(([, value]) => hasValue(value)));
+}
+
+function promptFor(flow, step, state) {
+  const base = typeof step.prompt === 'function' ? step.prompt(state.data) : step.prompt || `What's the ${stepLabel(step)}?`;
+  const hints = [];
+  if (hasValue(state.data[step.key])) hints.push(`currently: ${state.data[step.key]}`);
+  if (step.optional) hints.push('reply *skip* to leave it out');
+  const text = hints.length > 0 ? `${base}\n(${hints.join(', ')})` : base;
+
+  const choices = step.choices || [];
+  if (choices.length > 3) {
+    return { success: true, message: text, list: { button: 'Choose', rows: choices } };
+  }
+  if (choices.length > 0 || step.optional) {
+    const buttons = [...choices];
+    if (step.optional && buttons.length < 3) buttons.push({ id: 'skip', title: '⏭️ Skip' });
+    return { success: true, message: text, buttons };
+  }
+  return { success: true, message: text };
+}
+
+function confirmationFor(flow, state, fromNumber) {
+  const params = collectedParams(state);
+  const summary = flow.summary
+    ? flow.summary(params, { fromNumber })
+    : actions.buildPreview(flow.action, params, { fromNumber });
+  const confirmButton = flow.confirmButton || { id: 'confirm', title: '✅ Confirm' };
+  return {
+    success: true,
+    message: `${summary}\n\nTap ${confirmButton.title.replace(/^\W+\s*/, '')} to go ahead, Edit to change something, or Cancel to abort. You can also reply *back*.`,
+    buttons: [confirmButton, { id: 'edit', title: '✏️ Edit' }, { id: 'cancel', title: '❌ Cancel' }]
+  };
+}
+
+// Put an explanation (an error, a reminder of where we are) above a prompt
+function prefixed(reply, prefix) {
+  return { ...reply, success: false, message: `${prefix}\n\n${reply.message}` };
+}
+
+// Move to `key` (a step key or CONFIRM_STEP), remembering where we came from for *back*
+async function goTo(flow, state, key, fromNumber) {
+  if (state.step !== key) state.history.push(state.step);
+  state.step = key;
+  await saveFlowState(fromNumber, state);
+  return key === CONFIRM_STEP ? confirmationFor(flow, state, fromNumber) : promptFor(flow, findStep(flow, key), state);
+}
+
+function nextStepKey(flow, state) {
+  // Editing a single field from the summary goes straight back to it
+  if (state.editing) return CONFIRM_STEP;
+  const index = flow.steps.findIndex(step => step.key === state.step);
+  const next = flow.steps[index + 1];
+  return next ? next.key : CONFIRM_STEP;
+}
+
+// Parse and validate one answer; returns { value } or { error }
+function readAnswer(flow, step, text, data, fromNumber) {
+  let value = text;
+  if (step.parse) {
+    value = step.parse(text, data, { fromNumber });
+    if (value === null || value === undefined) {
+      return { error: step.hint || `I couldn't understand that ${stepLabel(step).toLowerCase()}.` };
+    }
+  }
+  const schema = stepSchema(flow, step);
+  if (schema) {
+    value = coerce(schema, value);
+    const errors = validate(schema, value, stepLabel(step));
+    if (errors.length > 0) return { error: step.hint || errors.map(error => error.message).join('; ') };
+  }
+  if (step.validate) {
+    const error = step.validate(value, data);
+    if (error) return { error };
+  }
+  return { value };
+}
+
+async function startFlow(name, fromNumber, initialText = '') {
+  const flow = getFlow(name);
+  if (!flow) return { success: false, message: `Unknown flow: ${name}` };
+  const state = { flow: name, step: flow.steps[0].key, data: {}, history: [], editing: false };
+  await saveFlowState(fromNumber, state);
+  logger.info(`Started ${name} flow`, { fromNumber });
+  // Text after the command answers the first step, e.g. "/remind call mom"
+  if (initialText.trim()) return await continueFlow(fromNumber, initialText, state);
+  return promptFor(flow, flow.steps[0], state);
+}
+
+async function finishFlow(flow, state, fromNumber) {
+  await clearFlowState(fromNumber);
+  const params = collectedParams(state);
+  logger.info(`Finishing ${flow.name} flow`, { fromNumber, params });
+  if (flow.finish) return await flow.finish(params, { fromNumber });
+  return await actions.dispatchAction(flow.action, params, { fromNumber, userMessage: '' });
+}
+
+async function editField(flow, state, fieldText, fromNumber) {
+  const step = fieldText && flow.steps.find(candidate =>
+    candidate.key.toLowerCase() === fieldText.toLowerCase() || stepLabel(candidate).toLowerCase() === fieldText.toLowerCase());
+  if (!step) {
+    return {
+      success: true,
+      message: 'Which field should I change? Pick one below or reply *edit <field>*.',
+      list: {
+        button: 'Choose field',
+        rows: flow.steps.map(candidate => ({
+          id: `edit ${candidate.key}`,
+          title: stepLabel(candidate),
+          description: hasValue(state.data[candidate.key]) ? String(state.data[candidate.key]) : undefined
+        }))
+      }
+    };
+  }
+  state.editing = true;
+  return await goTo(flow, state, step.key, fromNumber);
+}
+
+// Handle the user's reply to the current step of their active flow
+async function continueFlow(fromNumber, message, state) {
+  const flow = getFlow(state.flow);
+  if (!flow) {
+    await clearFlowState(fromNumber);
+    return { success: false, message: 'Something went wrong with that conversation. Please start again.' };
+  }
+  const text = message.trim();
+  const lower = text.toLowerCase();
+  logger.debug(`Continuing ${flow.name} flow`, { step: state.step });
+
+  if (CANCEL_WORDS.includes(lower)) {
+    await clearFlowState(fromNumber);
+    return { success: false, message: flow.cancelMessage || 'Cancelled.' };
+  }
+
+  if (BACK_WORDS.includes(lower)) {
+    const previous = state.history.pop();
+    if (!previous) {
+      return prefixed(promptFor(flow, findStep(flow, state.step), state), "You're at the first step.");
+    }
+    state.step = previous;
+    state.editing = false;
+    await saveFlowState(fromNumber, state);
+    return previous === CONFIRM_STEP ? confirmationFor(flow, state, fromNumber) : promptFor(flow, findStep(flow, previous), state);
+  }
+
+  if (state.step === CONFIRM_STEP) {
+    const confirmId = flow.confirmButton ? flow.confirmButton.id : 'confirm';
+    if (CONFIRM_WORDS.includes(lower) || lower === confirmId) {
+      return await finishFlow(flow, state, fromNumber);
+    }
+    const editMatch = text.match(/^edit\b\s*(.*)$/i);
+    if (editMatch) return await editField(flow, state, editMatch[1].trim(), fromNumber);
+    return prefixed(confirmationFor(flow, state, fromNumber), "I didn't understand that.");
+  }
+
+  const step = findStep(flow, state.step);
+  if (!step) {
+    await clearFlowState(fromNumber);
+    return { success: false, message: `Something went wrong. Please try again with ${flow.command || 'the command'}` };
+  }
+
+  if (SKIP_WORDS.includes(lower)) {
+    if (!step.optional) {
+      return prefixed(promptFor(flow, step, state), `The ${stepLabel(step).toLowerCase()} is needed, it can't be skipped.`);
+    }
+    delete state.data[step.key];
+  } else {
+    const answer = readAnswer(flow, step, text, state.data, fromNumber);
+    if (answer.error) {
+      return prefixed(promptFor(flow, step, state), `That doesn't look right: ${answer.error}`);
+    }
+    state.data[step.key] = answer.value;
+  }
+
+  const next = nextStepKey(flow, state);
+  state.editing = false;
+  return await goTo(flow, state, next, fromNumber);
+}
+
+module.exports = {
+  registerFlow,
+  loadFlowsFromDirectory,
+  getFlow,
+  getFlowByCommand,
+  listFlows,
+  getFlowState,
+  clearFlowState,
+  listActiveFlows,
+  startFlow,
+  continueFlow
+};
@@ -0,0 +1,47 @@
+const { createJsonStore } = require('./store');
+
+// Remembers which inbound WhatsApp message ids were already processed, so
+// Meta's retried deliveries are acknowledged without replying twice.
+const store = createJsonStore('processed-messages.json', { processed: {} });
+
+const PROCESSED_MESSAGE_TTL_HOURS = parseInt(process.env.PROCESSED_MESSAGE_TTL_HOURS, 10) || 48;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+// Record a message id. Returns false when it was already seen (a duplicate).
+// Runs synchronously so two concurrent deliveries can't both claim the same id.
+function markProcessed(messageId) {
+  if (!messageId) return true;
+  const data = store.load();
+  const seenAt = data.processed[messageId];
+  if (seenAt && Date.now() - seenAt < PROCESSED_MESSAGE_TTL_HOURS * 3600000) {
+    return false;
+  }
+  data.processed[messageId] = Date.now();
+  store.save();
+  return true;
+}
+
+function sweepProcessedMessages() {
+  const data = store.load();
+  const cutoff = Date.now() - PROCESSED_MESSAGE_TTL_HOURS * 3600000;
+  let removed = 0;
+  for (const [messageId, seenAt] of Object.entries(data.processed)) {
+    if (seenAt < cutoff) {
+      delete data.processed[messageId];
+      removed++;
+    }
+  }
+  if (removed > 0) store.save();
+  return removed;
+}
+
+function startIdempotencySweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepProcessedMessages, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweepProcessedMessages();
+}
+
+module.exports = { markProcessed, sweepProcessedMessages, startIdempotencySweeper };
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createJsonStore } = require('./store');
+const { computeSignature } = require('./signature');
+const { logger, getCorrelationId } = require('./logger');
+
+// Outbound webhooks: any registered action can be routed to an n8n workflow,
+// a Zapier-style catch hook or a custom endpoint. Targets are configured per
+// action in integrations.json (INTEGRATIONS_FILE); `${VAR}` in any string is
+// replaced by that environment variable so secrets stay out of the file:
+//
+//   {
+//     "targets": {
+//       "email.send":   { "url": "https://n8n.example.com/webhook/email", "secret": "${N8N_SECRET}" },
+//       "calendar.add": { "url": "https://hooks.example.com/calendar", "mode": "mirror" }
+//     }
+//   }
+//
+// Target options:
+//   url          - where to POST the payload (required)
+//   secret       - HMAC key; the body is signed as X-Webhook-Signature-256: sha256=<hex>
+//   headers      - extra request headers (e.g. an API key)
+//   mode         - "forward" (default): the webhook performs the action instead of the local handler
+//                  "mirror": the local handler runs and the webhook is notified afterwards
+//   flatten      - also copy the params to the top level of the payload (older n8n workflows read them there)
+//   timeoutMs    - per attempt, default 10000
+//   maxAttempts  - default 3; network errors, 429 and 5xx are retried with exponential backoff
+// Deliveries that still fail end up in the dead-letter queue (data/dead-letters.json).
+const INTEGRATIONS_FILE = process.env.INTEGRATIONS_FILE || path.join(__dirname, '..', 'integrations.json');
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+const deadLetterStore = createJsonStore('dead-letters.json', { deadLetters: [] });
+
+let targets = null;
+
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item)]));
+  }
+  return value;
+}
+
+function loadTargets() {
+  const loaded = {};
+  if (fs.existsSync(INTEGRATIONS_FILE)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(INTEGRATIONS_FILE, 'utf8'));
+      Object.assign(loaded, interpolateEnv(config.targets || {}));
+    } catch (error) {
+      logger.error('Failed to load integrations', { file: INTEGRATIONS_FILE, error: error.message });
+    }
+  }
+  // Shortcut for the common case of emailing through an n8n workflow
+  if (!loaded['email.send'] && process.env.EMAIL_WEBHOOK_URL) {
+    loaded['email.send'] = { url: process.env.EMAIL_WEBHOOK_URL, secret: process.env.EMAIL_WEBHOOK_SECRET, flatten: true };
+  }
+  for (const [action, target] of Object.entries(loaded)) {
+    if (!target.url) {
+      logger.warn('Ignoring integration without a url', { action });
+      delete loaded[action];
+    }
+  }
+  const names = Object.keys(loaded);
+  if (names.length > 0) logger.info(`🔗 Outbound integrations: ${names.join(', ')}`);
+  return loaded;
+}
+
+function getTarget(action) {
+  if (!targets) targets = loadTargets();
+  return targets[action] || null;
+}
+
+// Replace the configured targets (used by tests)
+function setTargets(newTargets) {
+  targets = newTargets;
+}
+
+function buildPayload(action, params, context = {}, target = {}) {
+  return {
+    id: crypto.randomUUID(),
+    action,
+    fromNumber: context.fromNumber,
+    timestamp: new Date().toISOString(),
+    params,
+    // Mirrored deliveries include what the local handler did
+    ...(context.result ? { result: { success: context.result.success, message: context.result.message } } : {}),
+    ...(target.flatten ? params : {})
+  };
+}
+
+function isRetryable(error) {
+  if (!error.response) return true;
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  // A little jitter so retries from several users don't line up
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function describeError(error) {
+  if (error.response) return `HTTP ${error.response.status}: ${JSON.stringify(error.response.data).slice(0, 200)}`;
+  return error.message;
+}
+
+function addDeadLetter(action, target, payload, attempts, lastError) {
+  const data = deadLetterStore.load();
+  data.deadLetters.push({
+    id: payload.id,
+    action,
+    url: target.url,
+    payload,
+    attempts,
+    lastError,
+    failedAt: new Date().toISOString()
+  });
+  deadLetterStore.save();
+  logger.error(`💀 Delivery moved to the dead-letter queue after ${attempts} attempt(s)`, { deliveryId: payload.id, action, error: lastError });
+}
+
+// POST a payload to a target with signing, timeout and retries.
+// Returns { success, status, data, attempts, error }.
+async function sendToTarget(target, payload) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Id': payload.id,
+    'X-Webhook-Action': payload.action,
+    // Lets the receiver's logs be matched with ours
+    ...(getCorrelationId() ? { 'X-Correlation-Id': getCorrelationId() } : {}),
+    ...(target.headers || {})
+  };
+  if (target.secret) headers['X-Webhook-Signature-256'] = computeSignature(body, target.secret);
+
+  const maxAttempts = target.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const response = await axios.post(target.url, body, { headers, timeout: target.timeoutMs || DEFAULT_TIMEOUT_MS });
+      return { success: true, status: response.status, data: response.data, attempts: attempt };
+    } catch (error) {
+      logger.warn(`Webhook delivery failed (attempt ${attempt}/${maxAttempts})`, { deliveryId: payload.id, url: target.url, error: describeError(error) });
+      if (!isRetryable(error) || attempt === maxAttempts) {
+        return { success: false, status: error.response?.status, error: describeError(error), attempts: attempt };
+      }
+      await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt)));
+    }
+  }
+}
+
+async function deliver(action, params, context = {}) {
+  const target = getTarget(action);
+  if (!target) return { success: false, error: `No integration configured for ${action}` };
+  const payload = buildPayload(action, params, context, target);
+  const result = await sendToTarget(target, payload);
+  if (!result.success) addDeadLetter(action, target, payload, result.attempts, result.error);
+  return { ...result, id: payload.id };
+}
+
+function targetName(target) {
+  try {
+    return new URL(target.url).host;
+  } catch (error) {
+    return target.url;
+  }
+}
+
+// Run an action through its webhook ("forward" mode) and turn the outcome into
+// the usual { success, message }. A JSON reply with a `message` is passed on to the user.
+async function forwardAction(action, params, context) {
+  const target = getTarget(action);
+  logger.info(`Forwarding ${action}`, { url: target.url });
+  const result = await deliver(action, params, context);
+  if (!result.success) {
+    return { success: false, message: `I couldn't reach ${targetName(target)} (${result.error}). I'll keep the request so it can be retried.` };
+  }
+  const reply = result.data && typeof result.data === 'object' && result.data.message;
+  return { success: true, message: reply || `Sent to ${targetName(target)}`, data: result.data };
+}
+
+// Notify a "mirror" target after the local handler ran, without making the user wait
+function mirrorAction(action, params, context, handlerResult) {
+  deliver(action, params, { ...context, result: handlerResult })
+    .catch(error => logger.error(`Error mirroring ${action}`, { error: error.message }));
+}
+
+function isForwarded(action) {
+  const target = getTarget(action);
+  return Boolean(target && target.mode !== 'mirror');
+}
+
+function isMirrored(action) {
+  const target = getTarget(action);
+  return Boolean(target && target.mode === 'mirror');
+}
+
+// Configured targets without secrets or headers, for the health check and dashboard
+function listTargets() {
+  if (!targets) targets = loadTargets();
+  return Object.entries(targets).map(([action, target]) => {
+    let host = null;
+    try {
+      host = new URL(target.url).host;
+    } catch (error) {
+      // Reported as is; deliveries to it will fail and be dead-lettered
+    }
+    return { action, mode: target.mode || 'forward', host, signed: Boolean(target.secret) };
+  });
+}
+
+function listDeadLetters() {
+  return deadLetterStore.load().deadLetters;
+}
+
+// Try a dead-lettered delivery again with its original payload (and id, so receivers can dedupe)
+async function retryDeadLetter(id) {
+  const data = deadLetterStore.load();
+  const entry = data.deadLetters.find(deadLetter => deadLetter.id === id);
+  if (!entry) return null;
+  const target = getTarget(entry.action) || { url: entry.url };
+  const result = await sendToTarget(target, entry.payload);
+  if (result.success) {
+    data.deadLetters = data.deadLetters.filter(deadLetter => deadLetter.id !== id);
+  } else {
+    entry.attempts += result.attempts;
+    entry.lastError = result.error;
+    entry.failedAt = new Date().toISOString();
+  }
+  deadLetterStore.save();
+  return result;
+}
+
+function deleteDeadLetter(id) {
+  const data = deadLetterStore.load();
+  const before = data.deadLetters.length;
+  data.deadLetters = data.deadLetters.filter(deadLetter => deadLetter.id !== id);
+  deadLetterStore.save();
+  return data.deadLetters.length < before;
+}
+
+module.exports = {
+  getTarget,
+  setTargets,
+  deliver,
+  forwardAction,
+  mirrorAction,
+  isForwarded,
+  isMirrored,
+  listTargets,
+  listDeadLetters,
+  retryDeadLetter,
+  deleteDeadLetter
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createMockGeminiClient } = require('./mockGemini');
+const { logger } = require('./logger');
+
+// The language model behind the bot. Every client has the shape of the Gemini SDK:
+//   getGenerativeModel({ model }).generateContent(prompt | [prompt, ...inlineData])
+//     -> { response: { text(), usageMetadata } }
+// Select the client with GEMINI_CLIENT:
+//   live     - the Gemini API (default when GEMINI_API_KEY is set)
+//   record   - the Gemini API, saving every prompt and answer to GEMINI_RECORDINGS
+//   replay   - answers from GEMINI_RECORDINGS without touching the network
+//   rules    - no model; the actions' rule-based answers are used (default without a key)
+//   scripted - responses queued by the conversation tests (lib/mockGemini.js, never in production)
+// Recordings are keyed by the model and the normalized prompt (see normalizePrompt),
+// so a replay gives the recorded answer for the same question on any day.
+const GEMINI_CLIENT = process.env.GEMINI_CLIENT;
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_RECORDINGS = path.resolve(process.env.GEMINI_RECORDINGS || path.join(__dirname, '..', 'fixtures', 'gemini-recordings.json'));
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const LLM_MODES = ['live', 'record', 'replay', 'rules', 'scripted'];
+
+// Prompts differ between runs only in whitespace and the current date and time
+// ("Today is Monday, 2024-05-06 and it is 09:30 ..."), which aren't part of the key
+function normalizePrompt(prompt) {
+  return String(prompt)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line && !line.startsWith('Today is '))
+    .join('\n');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function recordingKey(model, prompt, attachments = []) {
+  const files = attachments.map(part => (part.inlineData ? `${part.inlineData.mimeType}:${sha256(part.inlineData.data)}` : sha256(JSON.stringify(part))));
+  return sha256([model, normalizePrompt(prompt), ...files].join('\n'));
+}
+
+// { recordings: { <key>: { model, prompt, text, usageMetadata, recordedAt } } }
+function createRecordingStore(filePath = GEMINI_RECORDINGS) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read Gemini recordings from ${filePath}: ${error.message}`);
+      data = { recordings: {} };
+    }
+    return data;
+  }
+
+  // Written atomically after every recording, so an interrupted session keeps what it got so far
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify(data, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+    get: key => load().recordings[key] || null,
+    put(key, recording) {
+      load().recordings[key] = recording;
+      save();
+    },
+    size: () => Object.keys(load().recordings).length
+  };
+}
+
+function splitInput(input) {
+  const [prompt, ...attachments] = [].concat(input);
+  return { prompt, attachments };
+}
+
+// The live client, saving each answer under its key. A prompt asked again
+// replaces the earlier recording.
+function createRecordingClient(liveClient, store) {
+  return {
+    getGenerativeModel(options) {
+      const model = liveClient.getGenerativeModel(options);
+      return {
+        async generateContent(input) {
+          const result = await model.generateContent(input);
+          const response = await result.response;
+          const { prompt, attachments } = splitInput(input);
+          store.put(recordingKey(options.model, prompt, attachments), {
+            model: options.model,
+            prompt: normalizePrompt(prompt),
+            attachments: attachments.length,
+            text: response.text(),
+            usageMetadata: response.usageMetadata,
+            recordedAt: new Date().toISOString()
+          });
+          return { response };
+        }
+      };
+    }
+  };
+}
+
+// Answers only from recordings. A prompt that was never recorded fails with
+// code LLM_REPLAY_MISS, which callers treat like having no model at all.
+function createReplayClient(store) {
+  return {
+    getGenerativeModel(options) {
+      return {
+        async generateContent(input) {
+          const { prompt, attachments } = splitInput(input);
+          const key = recordingKey(options.model, prompt, attachments);
+          const recording = store.get(key);
+          if (!recording) {
+            logger.warn('No Gemini recording for this prompt', { key, file: store.filePath });
+            throw Object.assign(new Error(`No Gemini recording for prompt ${key.slice(0, 12)}`), { code: 'LLM_REPLAY_MISS', transient: false });
+          }
+          return { response: { text: () => recording.text, usageMetadata: recording.usageMetadata } };
+        }
+      };
+    }
+  };
+}
+
+// { client, mode }. client is null in rules mode.
+function createLlmClient(mode = GEMINI_CLIENT || (GEMINI_API_KEY ? 'live' : 'rules')) {
+  if (!LLM_MODES.includes(mode)) {
+    throw new Error(`Unknown GEMINI_CLIENT "${mode}", expected ${LLM_MODES.join(', ')}`);
+  }
+  if ((mode === 'live' || mode === 'record') && !GEMINI_API_KEY) {
+    throw new Error(`GEMINI_CLIENT=${mode} needs GEMINI_API_KEY`);
+  }
+
+  switch (mode) {
+    case 'live':
+      return { mode, client: new GoogleGenerativeAI(GEMINI_API_KEY) };
+    case 'record': {
+      const store = createRecordingStore();
+      logger.info(`🎙️ Recording Gemini answers to ${store.filePath}`, { recordings: store.size() });
+      return { mode, client: createRecordingClient(new GoogleGenerativeAI(GEMINI_API_KEY), store) };
+    }
+    case 'replay': {
+      const store = createRecordingStore();
+      logger.info(`📼 Replaying Gemini answers from ${store.filePath}`, { recordings: store.size() });
+      return { mode, client: createReplayClient(store) };
+    }
+    case 'scripted':
+      if (IS_PRODUCTION) throw new Error('GEMINI_CLIENT=scripted is not available in production');
+      logger.info('🧪 Using scripted Gemini responses (GEMINI_CLIENT=scripted)');
+      return { mode, client: createMockGeminiClient() };
+    default:
+      logger.warn('⚠️ No language model configured (no GEMINI_API_KEY). Using rule-based answers.');
+      return { mode, client: null };
+  }
+}
+
+module.exports = { createLlmClient, createRecordingStore, createRecordingClient, createReplayClient, normalizePrompt, recordingKey };
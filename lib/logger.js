@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logger. Every line is one JSON object (LOG_FORMAT=json, the
+// default in production) or a readable line (LOG_FORMAT=pretty, the default
+// elsewhere) with the time, level, message and fields:
+//
+//   logger.info('Reminder sent', { reminderId, to })
+//   logger.error('Gemini AI error', { error })
+//
+// LOG_LEVEL is debug, info (default), warn or error.
+//
+// Lines logged while handling one inbound message or HTTP request carry the
+// same correlationId (see runWithContext), so a message can be followed
+// through Gemini, actions and outbound calls.
+//
+// LOG_REDACT lists what is masked before anything is written, as a comma
+// separated subset of phone, text and email (default: all three, "none" turns
+// redaction off for local debugging):
+//   phone - phone numbers keep their last 4 digits (***0001)
+//   text  - message bodies, replies, prompts, captions, subjects and profile
+//           names become [redacted: N chars]
+//   email - addresses keep their domain (***@example.com)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+const LOG_REDACT = parseRedact(process.env.LOG_REDACT);
+
+// Field names whose string values are user-written text
+const TEXT_KEYS = new Set([
+  'text', 'body', 'caption', 'transcript', 'reply', 'userMessage', 'content', 'subject',
+  'summary', 'prompt', 'title', 'query', 'notes', 'description', 'profile', 'signature'
+]);
+// Field names that hold digits but never a phone number
+const NOT_PHONE_KEYS = new Set(['timestamp', 'correlationId', 'id', 'durationMs', 'status', 'code']);
+// Digit runs with the usual separators, but not inside ids or words
+const PHONE_PATTERN = /(?<![\w.-])\+?\d[\d ()-]{6,18}\d(?![\w-])/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 12;
+
+const contextStorage = new AsyncLocalStorage();
+
+function parseRedact(value) {
+  if (value === undefined || value === '') return new Set(['phone', 'text', 'email']);
+  if (value === 'none') return new Set();
+  return new Set(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+function maskPhone(match) {
+  const digits = match.replace(/\D/g, '');
+  // Short digit runs (amounts, times) and dates are left alone
+  if (digits.length < 8 || /^\d{4}-\d{2}-\d{2}/.test(match)) return match;
+  // Too long for one number: several numbers (or a number and a date) in a row
+  if (digits.length > 15) return match.replace(/\S+/g, maskPhone);
+  return `***${digits.slice(-4)}`;
+}
+
+function redactString(value, key) {
+  let result = value;
+  if (LOG_REDACT.has('email')) result = result.replace(EMAIL_PATTERN, (match, domain) => `***@${domain}`);
+  if (LOG_REDACT.has('phone') && !NOT_PHONE_KEYS.has(key)) result = result.replace(PHONE_PATTERN, maskPhone);
+  return result;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status || error.response?.status ? { status: error.status || error.response.status } : {}),
+    ...(error.response?.data ? { response: error.response.data } : {}),
+    stack: error.stack
+  };
+}
+
+// Mask whatever LOG_REDACT asks for in any value (objects are copied, never modified)
+function redact(value, key = '', depth = 0) {
+  if (value instanceof Error) value = serializeError(value);
+  if (value === null || value === undefined) return value;
+  if (LOG_REDACT.has('text') && TEXT_KEYS.has(key) && (typeof value === 'string' || typeof value === 'object')) {
+    const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+    return `[redacted: ${length} chars]`;
+  }
+  if (typeof value === 'string') return redactString(value, key);
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[too deep]';
+  if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const context = contextStorage.getStore() || {};
+  const entry = redact({ ...context, ...fields });
+  const msg = redactString(String(message));
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'json') {
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg, ...entry })}\n`);
+    return;
+  }
+  const { correlationId, ...rest } = entry;
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  stream.write(`${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} ${correlationId ? `[${correlationId}] ` : ''}${msg}${extra}\n`);
+}
+
+function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Run fn with fields (usually { correlationId }) added to every line it logs,
+// including from callbacks and awaited calls
+function runWithContext(fields, fn) {
+  return contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+}
+
+function getCorrelationId() {
+  const context = contextStorage.getStore();
+  return context ? context.correlationId : undefined;
+}
+
+// Express middleware: one correlation id per request (an incoming X-Request-Id
+// is kept), echoed in the response and logged with the outcome
+function requestContext() {
+  return (req, res, next) => {
+    const correlationId = String(req.get('x-request-id') || '').slice(0, 64) || newCorrelationId();
+    res.set('X-Request-Id', correlationId);
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : 'debug';
+      write(level, `${req.method} ${req.path} ${res.statusCode}`, { correlationId, durationMs: Date.now() - startedAt });
+    });
+    runWithContext({ correlationId }, next);
+  };
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  isDebugEnabled: () => LEVELS[LOG_LEVEL] <= LEVELS.debug
+};
+
+module.exports = { logger, redact, runWithContext, getCorrelationId, newCorrelationId, requestContext };
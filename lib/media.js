@@ -0,0 +1,85 @@
+const axios = require('axios');
+const { WHATSAPP_API_URL } = require('./whatsapp');
+const { getStateStore } = require('./stateStore');
+const { logger } = require('./logger');
+
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+// Gemini accepts inline data up to ~20MB per request
+const MAX_MEDIA_BYTES = parseInt(process.env.MAX_MEDIA_BYTES, 10) || 20 * 1024 * 1024;
+
+// Recently received files are remembered (by media id) so a follow-up like
+// "email this to Sam" can attach them
+const RECENT_MEDIA_TTL_MS = 30 * 60 * 1000;
+const MAX_RECENT_MEDIA = 5;
+
+// Media types Gemini can read directly
+const GEMINI_MEDIA_TYPES = [/^image\/(png|jpeg|webp|heic|heif)$/, /^application\/pdf$/, /^audio\//, /^text\/plain$/];
+
+function authHeaders() {
+  return WHATSAPP_TOKEN ? { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` } : {};
+}
+
+// Download an inbound media object: first resolve the media id to a
+// short-lived URL, then fetch the bytes from it with the same token.
+async function downloadMedia(mediaId) {
+  const { data: info } = await axios.get(`${WHATSAPP_API_URL}/${mediaId}`, { headers: authHeaders(), timeout: 15000 });
+  if (info.file_size && info.file_size > MAX_MEDIA_BYTES) {
+    throw new Error(`Media ${mediaId} is too large (${info.file_size} bytes)`);
+  }
+  const response = await axios.get(info.url, {
+    headers: authHeaders(),
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_MEDIA_BYTES,
+    timeout: 30000
+  });
+  const mimeType = (info.mime_type || response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+  logger.info('Downloaded media', { mediaId, mimeType, bytes: response.data.byteLength });
+  return { buffer: Buffer.from(response.data), mimeType };
+}
+
+function isGeminiReadable(mimeType) {
+  return GEMINI_MEDIA_TYPES.some(pattern => pattern.test(mimeType));
+}
+
+// Shape used for Gemini multimodal input
+function toInlineData({ buffer, mimeType }) {
+  return { inlineData: { data: buffer.toString('base64'), mimeType } };
+}
+
+async function rememberMedia(fromNumber, { id, mimeType, filename }) {
+  await getStateStore().update(`media:${fromNumber}`, recent => [
+    { id, mimeType, filename, receivedAt: new Date().toISOString() },
+    ...(recent || [])
+  ].slice(0, MAX_RECENT_MEDIA), RECENT_MEDIA_TTL_MS);
+}
+
+// Most recent first
+async function getRecentMedia(fromNumber) {
+  return (await getStateStore().get(`media:${fromNumber}`)) || [];
+}
+
+function extensionFor(mimeType) {
+  const subtype = (mimeType.split('/')[1] || 'bin').split(/[+;]/)[0];
+  return subtype === 'jpeg' ? 'jpg' : subtype;
+}
+
+// Download the most recently received file as an email attachment
+async function downloadRecentMediaAttachment(fromNumber) {
+  const [latest] = await getRecentMedia(fromNumber);
+  if (!latest) return null;
+  const file = await downloadMedia(latest.id);
+  return {
+    filename: latest.filename || `whatsapp-${latest.receivedAt.slice(0, 10)}.${extensionFor(file.mimeType)}`,
+    content: file.buffer,
+    contentType: file.mimeType
+  };
+}
+
+module.exports = {
+  downloadMedia,
+  rememberMedia,
+  getRecentMedia,
+  downloadRecentMediaAttachment,
+  isGeminiReadable,
+  toInlineData
+};
@@ -0,0 +1,173 @@
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+// Per-user conversation history fed into the Gemini prompt so follow-ups like
+// "move it to 4pm" have context. Persisted to data/conversations.json.
+const store = createJsonStore('conversations.json', { sessions: {} });
+
+const MAX_TURNS = parseInt(process.env.MEMORY_MAX_TURNS, 10) || 12;
+const MAX_TOKENS = parseInt(process.env.MEMORY_MAX_TOKENS, 10) || 1500;
+// Histories untouched for this long are forgotten
+const RETENTION_MINUTES = parseInt(process.env.MEMORY_RETENTION_MINUTES, 10) || 24 * 60;
+const MAX_SUMMARY_CHARS = 1200;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+let sweepTimer = null;
+
+// Rough token estimate (~4 characters per token) - good enough for budgeting
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function isExpired(session, now = Date.now()) {
+  return now - new Date(session.updatedAt).getTime() > RETENTION_MINUTES * 60000;
+}
+
+function getSession(sessionId) {
+  const data = store.load();
+  const session = data.sessions[sessionId];
+  if (session && isExpired(session)) {
+    delete data.sessions[sessionId];
+    store.save();
+    return null;
+  }
+  return session || null;
+}
+
+// Conversations for the admin dashboard: one line per session, newest first
+function listSessions() {
+  const now = Date.now();
+  return Object.entries(store.load().sessions)
+    .filter(([, session]) => !isExpired(session, now))
+    .map(([sessionId, session]) => {
+      const last = session.turns[session.turns.length - 1];
+      return {
+        sessionId,
+        updatedAt: session.updatedAt,
+        turns: session.turns.length,
+        hasSummary: Boolean(session.summary),
+        lastMessage: last ? last.text : null
+      };
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function formatTurn(turn) {
+  if (turn.role === 'user') return `User: ${turn.text}`;
+  let action = '';
+  if (turn.action && turn.action !== 'none') {
+    action = ` [action: ${turn.action} ${JSON.stringify(turn.params || {})}]`;
+  } else if (turn.incomplete) {
+    // The assistant asked a question; the user's next message should complete this action
+    action = ` [incomplete action: ${turn.incomplete.action} ${JSON.stringify(turn.incomplete.params || {})}, missing: ${turn.incomplete.missing.join(', ')}]`;
+  }
+  return `Assistant: ${turn.text}${action}`;
+}
+
+function sessionTokens(session) {
+  return estimateTokens(session.summary) + session.turns.reduce((total, turn) => total + estimateTokens(formatTurn(turn)), 0);
+}
+
+// Fallback summary when no summarizer is available: keep the most recent
+// lines of the folded turns, trimmed to the summary budget.
+function extractiveSummary(previousSummary, turns) {
+  const text = [previousSummary, ...turns.map(formatTurn)].filter(Boolean).join('\n');
+  return text.length > MAX_SUMMARY_CHARS ? '…' + text.slice(-MAX_SUMMARY_CHARS) : text;
+}
+
+// Fold the oldest turns into the running summary until the history fits the
+// turn and token budgets. `summarize(previousSummary, turns)` may call the model.
+async function compact(session, summarize) {
+  const folded = [];
+  while (session.turns.length > 2 && (session.turns.length > MAX_TURNS || sessionTokens(session) > MAX_TOKENS)) {
+    folded.push(session.turns.shift());
+  }
+  if (folded.length === 0) return;
+
+  let summary = null;
+  if (summarize) {
+    try {
+      summary = await summarize(session.summary, folded.map(formatTurn));
+    } catch (error) {
+      logger.error('Error summarizing conversation history', { error: error.message });
+    }
+  }
+  session.summary = (summary || extractiveSummary(session.summary, folded)).slice(0, MAX_SUMMARY_CHARS);
+}
+
+// Prompt section describing the conversation so far (empty for new conversations)
+function getPromptContext(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || (session.turns.length === 0 && !session.summary)) return '';
+
+  const parts = ['Conversation so far (use it to resolve references like "it", "that" or "her"):'];
+  if (session.summary) parts.push(`Summary of earlier messages: ${session.summary}`);
+  parts.push(...session.turns.map(formatTurn));
+  return parts.join('\n');
+}
+
+// Record one user message and the assistant's reply (with any action it triggered)
+async function recordExchange(sessionId, userMessage, aiResponse, { summarize } = {}) {
+  if (!sessionId) return;
+  const data = store.load();
+  const session = getSession(sessionId) || { summary: '', turns: [] };
+  const now = new Date().toISOString();
+
+  session.turns.push({ role: 'user', text: userMessage, at: now });
+  session.turns.push({
+    role: 'assistant',
+    text: aiResponse.reply,
+    action: aiResponse.action,
+    params: aiResponse.params,
+    incomplete: aiResponse.incomplete,
+    at: now
+  });
+  session.updatedAt = now;
+
+  await compact(session, summarize);
+  data.sessions[sessionId] = session;
+  store.save();
+}
+
+function resetSession(sessionId) {
+  const data = store.load();
+  const existed = Boolean(data.sessions[sessionId]);
+  delete data.sessions[sessionId];
+  store.save();
+  return existed;
+}
+
+function sweepExpiredSessions() {
+  const data = store.load();
+  const now = Date.now();
+  let removed = 0;
+  for (const [sessionId, session] of Object.entries(data.sessions)) {
+    if (isExpired(session, now)) {
+      delete data.sessions[sessionId];
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    store.save();
+    logger.info(`Expired ${removed} conversation histories`);
+  }
+  return removed;
+}
+
+function startMemorySweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweepExpiredSessions();
+}
+
+module.exports = {
+  getSession,
+  listSessions,
+  getPromptContext,
+  recordExchange,
+  resetSession,
+  sweepExpiredSessions,
+  startMemorySweeper,
+  estimateTokens
+};
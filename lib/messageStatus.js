@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+// Delivery status of outbound WhatsApp messages. Every accepted send is
+// recorded by its wamid, and the `statuses` events Meta posts to the webhook
+// move it along sent -> delivered -> read, or to failed with the error code.
+// Sends WhatsApp rejected outright are recorded as failed too, under a local id.
+const MESSAGE_STATUS_RETENTION_HOURS = parseInt(process.env.MESSAGE_STATUS_RETENTION_HOURS, 10) || 72;
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+// Enough of a text message to resend it as a template if delivery fails
+const MAX_STORED_TEXT = 4096;
+
+const store = createJsonStore('message-status.json', { messages: {} });
+
+function prune(data) {
+  const cutoff = new Date(Date.now() - MESSAGE_STATUS_RETENTION_HOURS * 3600000).toISOString();
+  for (const [id, record] of Object.entries(data.messages)) {
+    if (record.createdAt < cutoff) delete data.messages[id];
+  }
+}
+
+function recordSent(id, { to, type, text }) {
+  if (!id) return null;
+  const data = store.load();
+  const now = new Date().toISOString();
+  prune(data);
+  data.messages[id] = {
+    id,
+    to,
+    type,
+    ...(text ? { text: String(text).slice(0, MAX_STORED_TEXT) } : {}),
+    status: 'accepted',
+    createdAt: now,
+    updatedAt: now
+  };
+  store.save();
+  return data.messages[id];
+}
+
+// A send the API rejected (after any retries). Returns the record.
+function recordFailed({ to, type, text, error }) {
+  const data = store.load();
+  const now = new Date().toISOString();
+  const id = `local-${crypto.randomUUID()}`;
+  prune(data);
+  data.messages[id] = {
+    id,
+    to,
+    type,
+    ...(text ? { text: String(text).slice(0, MAX_STORED_TEXT) } : {}),
+    status: 'failed',
+    error,
+    createdAt: now,
+    updatedAt: now,
+    failedAt: now
+  };
+  store.save();
+  return data.messages[id];
+}
+
+// Apply one entry of a webhook's `statuses` array. Statuses can arrive out of
+// order, so a message never moves back (e.g. from read to delivered).
+// Returns the updated record, or null for messages we don't know.
+function applyStatus(status) {
+  const data = store.load();
+  const record = data.messages[status.id];
+  if (!record) return null;
+  const at = status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString();
+  record[`${status.status}At`] = at;
+  if (status.status === 'failed') {
+    const error = (status.errors || [])[0] || {};
+    record.status = 'failed';
+    record.error = { code: error.code, title: error.title || error.message, details: error.error_data && error.error_data.details };
+  } else if (record.status !== 'failed' && STATUS_ORDER.indexOf(status.status) > STATUS_ORDER.indexOf(record.status)) {
+    record.status = status.status;
+  }
+  record.updatedAt = new Date().toISOString();
+  store.save();
+  return record;
+}
+
+function getMessageStatus(id) {
+  return store.load().messages[id] || null;
+}
+
+function listMessageStatuses({ to, status } = {}) {
+  return Object.values(store.load().messages)
+    .filter(record => !to || record.to === to)
+    .filter(record => !status || record.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function markResent(id, resentAs) {
+  const record = store.load().messages[id];
+  if (!record) return;
+  record.resentAs = resentAs;
+  store.save();
+}
+
+module.exports = { recordSent, recordFailed, applyStatus, getMessageStatus, listMessageStatuses, markResent };
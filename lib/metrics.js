@@ -0,0 +1,113 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served at GET /metrics. Labels never contain phone
+// numbers or message text, only types, names, outcomes and error codes.
+// Node.js process metrics (CPU, memory, event loop lag) are included.
+const PREFIX = 'whatsapp_bot_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const inboundMessages = new client.Counter({
+  name: `${PREFIX}inbound_messages_total`,
+  help: 'Inbound WhatsApp messages accepted by the webhook, by message type',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const commands = new client.Counter({
+  name: `${PREFIX}commands_total`,
+  help: 'Slash commands received, by command ("other" for unknown commands)',
+  labelNames: ['command'],
+  registers: [register]
+});
+
+const actions = new client.Counter({
+  name: `${PREFIX}actions_total`,
+  help: 'Actions run, by action and outcome (success, failure or error when the handler threw)',
+  labelNames: ['action', 'outcome'],
+  registers: [register]
+});
+
+const whatsappSends = new client.Counter({
+  name: `${PREFIX}whatsapp_sends_total`,
+  help: 'Outbound WhatsApp API calls, by message type, outcome and error code',
+  labelNames: ['type', 'outcome', 'code'],
+  registers: [register]
+});
+
+const geminiDuration = new client.Histogram({
+  name: `${PREFIX}gemini_request_duration_seconds`,
+  help: 'Gemini API latency, by outcome',
+  labelNames: ['outcome'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30],
+  registers: [register]
+});
+
+const actionDuration = new client.Histogram({
+  name: `${PREFIX}action_duration_seconds`,
+  help: 'Time spent running an action (including outbound webhooks), by action',
+  labelNames: ['action'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const replyDuration = new client.Histogram({
+  name: `${PREFIX}reply_duration_seconds`,
+  help: 'Time from receiving a message at the webhook until it was fully handled and answered, including queue waits and retries',
+  buckets: [0.5, 1, 2, 4, 8, 15, 30, 60, 120],
+  registers: [register]
+});
+
+// Gauges read when Prometheus scrapes
+function registerGauge(name, help, read) {
+  return new client.Gauge({
+    name: `${PREFIX}${name}`,
+    help,
+    registers: [register],
+    collect() {
+      this.set(read());
+    }
+  });
+}
+
+function recordInboundMessage(type) {
+  inboundMessages.inc({ type: type || 'unknown' });
+}
+
+function recordCommand(command) {
+  commands.inc({ command });
+}
+
+function recordAction(action, outcome, seconds) {
+  actions.inc({ action, outcome });
+  actionDuration.observe({ action }, seconds);
+}
+
+// code is the WhatsApp error code for failures, "none" for successes
+function recordWhatsAppSend(type, success, code) {
+  whatsappSends.inc({ type: type || 'unknown', outcome: success ? 'success' : 'failure', code: success ? 'none' : String(code ?? 'unknown') });
+}
+
+function recordGeminiRequest(success, seconds) {
+  geminiDuration.observe({ outcome: success ? 'success' : 'error' }, seconds);
+}
+
+function recordReplyTime(seconds) {
+  replyDuration.observe(seconds);
+}
+
+async function getMetrics() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+  registerGauge,
+  recordInboundMessage,
+  recordCommand,
+  recordAction,
+  recordWhatsAppSend,
+  recordGeminiRequest,
+  recordReplyTime,
+  getMetrics
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+const { logger } = require('./logger');
+
+// Scripted stand-in for the Gemini client, used by the conversation tests
+// (GEMINI_CLIENT=scripted, never in production). Each generateContent call
+// answers with the next queued response; every prompt is recorded so tests can
+// check what the model was asked. A call with nothing queued fails, and is
+// reported as unscripted.
+//
+// Mounted at /mock-gemini when enabled:
+//   POST   /mock-gemini/responses { responses: [...] } -> queued in order; each one is
+//          { reply, action, params } (sent as JSON), { text } (sent as is, e.g. broken
+//          JSON to test the repair prompt) or { error: { status, message } }
+//   GET    /mock-gemini/prompts   -> every prompt so far and how many responses are left
+//   DELETE /mock-gemini           -> forget queued responses and recorded prompts
+function createMockGeminiClient() {
+  const responses = [];
+  const prompts = [];
+
+  async function generateContent(input) {
+    const [prompt, ...attachments] = [].concat(input);
+    const next = responses.shift();
+    prompts.push({ prompt, attachments: attachments.length, scripted: Boolean(next), at: new Date().toISOString() });
+
+    if (!next) {
+      logger.warn('Mock Gemini called without a scripted response');
+      throw new Error('Mock Gemini has no scripted response left');
+    }
+    if (next.error) {
+      throw Object.assign(new Error(next.error.message || 'Mock Gemini failure'), { status: next.error.status });
+    }
+    const text = next.text !== undefined ? next.text : JSON.stringify(next);
+    return {
+      response: {
+        text: () => text,
+        usageMetadata: { promptTokenCount: Math.ceil(prompt.length / 4), candidatesTokenCount: Math.ceil(text.length / 4), totalTokenCount: Math.ceil((prompt.length + text.length) / 4) }
+      }
+    };
+  }
+
+  return {
+    getGenerativeModel: () => ({ generateContent }),
+    addResponses: items => responses.push(...items),
+    getPrompts: () => ({ prompts, remaining: responses.length }),
+    reset() {
+      responses.length = 0;
+      prompts.length = 0;
+    }
+  };
+}
+
+function createMockGeminiRouter(client) {
+  const router = express.Router();
+
+  router.post('/responses', (req, res) => {
+    const { responses } = req.body || {};
+    if (!Array.isArray(responses)) {
+      return res.status(400).json({ error: 'responses must be an array' });
+    }
+    client.addResponses(responses);
+    res.json({ success: true, remaining: client.getPrompts().remaining });
+  });
+
+  router.get('/prompts', (req, res) => {
+    res.json(client.getPrompts());
+  });
+
+  router.delete('/', (req, res) => {
+    client.reset();
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createMockGeminiClient, createMockGeminiRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Local stand-in for the parts of the WhatsApp Graph API the bot uses, so
+// media handling and outbound messages can be tested without Meta.
+// Mounted at /mock-graph when ENABLE_MOCKS=1 (never in production); set
+// WHATSAPP_API_URL to http://localhost:<port>/mock-graph to use it.
+//
+//   POST /mock-graph/media          { mime_type, data (base64), filename } -> { id }
+//   GET  /mock-graph/:mediaId       -> { id, url, mime_type, file_size }
+//   GET  /mock-graph/files/:mediaId -> the raw bytes
+//   POST /mock-graph/:phoneId/media    -> accepts an outbound upload, returns an id
+//   POST /mock-graph/:phoneId/messages -> records the outbound message
+//   GET  /mock-graph/sent           -> every recorded outbound message
+//   POST /mock-graph/failures       { count, status, code, message, type } -> the next
+//        `count` sends (only of `type` when given) fail with that HTTP status and error code
+function createMockGraphRouter() {
+  const router = express.Router();
+  const mediaFiles = new Map();
+  const sentMessages = [];
+  const failures = [];
+
+  router.post('/media', (req, res) => {
+    const { mime_type: mimeType, data, filename } = req.body || {};
+    if (!mimeType || !data) {
+      return res.status(400).json({ error: { message: 'mime_type and base64 data are required' } });
+    }
+    const id = `mock-media-${crypto.randomUUID()}`;
+    mediaFiles.set(id, { mimeType, filename, buffer: Buffer.from(data, 'base64') });
+    res.json({ id });
+  });
+
+  router.get('/sent', (req, res) => {
+    res.json({ count: sentMessages.length, messages: sentMessages });
+  });
+
+  router.delete('/sent', (req, res) => {
+    sentMessages.length = 0;
+    res.json({ success: true });
+  });
+
+  router.post('/failures', (req, res) => {
+    const { count = 1, status = 500, code = 131000, message = 'Mock failure', type } = req.body || {};
+    for (let i = 0; i < count; i++) failures.push({ status, code, message, type });
+    res.json({ success: true, pending: failures.length });
+  });
+
+  router.get('/files/:mediaId', (req, res) => {
+    const media = mediaFiles.get(req.params.mediaId);
+    if (!media) return res.status(404).send('Not found');
+    res.set('Content-Type', media.mimeType);
+    res.send(media.buffer);
+  });
+
+  router.get('/:mediaId', (req, res) => {
+    const media = mediaFiles.get(req.params.mediaId);
+    if (!media) {
+      return res.status(404).json({ error: { message: 'Unsupported get request', code: 100 } });
+    }
+    res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.mediaId,
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/files/${req.params.mediaId}`,
+      mime_type: media.mimeType,
+      file_size: media.buffer.length
+    });
+  });
+
+  // Outbound media uploads (multipart) are accepted but not stored
+  router.post('/:phoneId/media', (req, res) => {
+    req.resume();
+    req.on('end', () => res.json({ id: `mock-upload-${crypto.randomUUID()}` }));
+  });
+
+  router.post('/:phoneId/messages', (req, res) => {
+    const failureIndex = failures.findIndex(failure => !failure.type || failure.type === req.body.type);
+    if (failureIndex !== -1) {
+      const [failure] = failures.splice(failureIndex, 1);
+      logger.info(`Mock Graph API failing outbound message with ${failure.status}/${failure.code}`);
+      return res.status(failure.status).json({ error: { message: failure.message, type: 'OAuthException', code: failure.code } });
+    }
+    const id = `wamid.mock-${crypto.randomUUID()}`;
+    sentMessages.push({ id, phoneId: req.params.phoneId, payload: req.body, at: new Date().toISOString() });
+    logger.info('Mock Graph API received outbound message', { payload: req.body });
+    res.json({ messaging_product: 'whatsapp', contacts: [{ input: req.body.to, wa_id: req.body.to }], messages: [{ id }] });
+  });
+
+  return router;
+}
+
+module.exports = { createMockGraphRouter };
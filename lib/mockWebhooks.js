@@ -0,0 +1,57 @@
+const express = require('express');
+const { isValidSignature } = require('./signature');
+const { logger } = require('./logger');
+
+// Local receiver for outbound integrations, so webhook routing can be tested
+// without n8n or Zapier. Mounted at /mock-webhooks when ENABLE_MOCKS=1 (never in
+// production); point a target at http://localhost:<port>/mock-webhooks/<name>.
+//
+//   POST   /mock-webhooks/:name           records the delivery and replies { message }
+//          ?fail=N                        answers 500 to the first N deliveries for :name (to test retries)
+//          ?status=404                    always answers with that status
+//   GET    /mock-webhooks/received        every recorded delivery
+//   DELETE /mock-webhooks/received
+// When MOCK_WEBHOOK_SECRET is set, each recorded delivery says whether its signature was valid.
+function createMockWebhookRouter({ secret = process.env.MOCK_WEBHOOK_SECRET } = {}) {
+  const router = express.Router();
+  const received = [];
+  const failures = new Map();
+
+  router.get('/received', (req, res) => {
+    res.json({ count: received.length, deliveries: received });
+  });
+
+  router.delete('/received', (req, res) => {
+    received.length = 0;
+    failures.clear();
+    res.json({ success: true });
+  });
+
+  router.post('/:name', (req, res) => {
+    const { name } = req.params;
+    const signature = req.get('x-webhook-signature-256');
+    received.push({
+      name,
+      id: req.get('x-webhook-id'),
+      action: req.get('x-webhook-action'),
+      signatureValid: secret ? isValidSignature(req.rawBody, signature, secret) : null,
+      payload: req.body,
+      at: new Date().toISOString()
+    });
+    logger.info(`Mock webhook ${name} received`, { payload: req.body });
+
+    if (req.query.status) {
+      return res.status(parseInt(req.query.status, 10)).json({ error: `Mock failure (${req.query.status})` });
+    }
+    const failed = failures.get(name) || 0;
+    if (failed < (parseInt(req.query.fail, 10) || 0)) {
+      failures.set(name, failed + 1);
+      return res.status(500).json({ error: 'Mock failure' });
+    }
+    res.json({ message: `Received by mock webhook ${name}` });
+  });
+
+  return router;
+}
+
+module.exports = { createMockWebhookRouter };
@@ -0,0 +1,184 @@
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+// Notes are persisted to data/notes.json, one flat list keyed by owner phone number
+const store = createJsonStore('notes.json', { nextId: 1, notes: [] });
+
+const MAX_LIST_RESULTS = 20;
+
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[\s,]+/);
+  return [...new Set(list
+    .map(tag => String(tag).trim().replace(/^#/, '').toLowerCase())
+    .filter(Boolean))];
+}
+
+// Split free text into lowercase search terms
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function formatNoteLine(note) {
+  const tags = note.tags.length ? ` ${note.tags.map(tag => `#${tag}`).join(' ')}` : '';
+  return `📝 #${note.id} ${note.title}${tags}`;
+}
+
+function formatNote(note) {
+  const tags = note.tags.length ? `\n${note.tags.map(tag => `#${tag}`).join(' ')}` : '';
+  return `📝 #${note.id} ${note.title}\n\n${note.content}${tags}`;
+}
+
+function findNote(fromNumber, id) {
+  const noteId = parseInt(String(id).replace('#', ''), 10);
+  return store.load().notes.find(note => note.id === noteId && (!fromNumber || note.fromNumber === fromNumber));
+}
+
+// Create a note from the AI params (title, content, tags)
+function createNote(fromNumber, params = {}) {
+  const content = (params.content || '').trim();
+  const title = (params.title || '').trim() || content.split('\n')[0].slice(0, 60);
+  if (!title && !content) {
+    return { success: false, message: 'What should the note say?' };
+  }
+
+  const data = store.load();
+  const now = new Date().toISOString();
+  const note = {
+    id: data.nextId++,
+    fromNumber,
+    title,
+    content,
+    tags: normalizeTags(params.tags),
+    createdAt: now,
+    updatedAt: now
+  };
+  data.notes.push(note);
+  store.save();
+
+  logger.info(`Note #${note.id} created`, { fromNumber });
+  return { success: true, message: `Note #${note.id} saved: ${note.title}`, data: note };
+}
+
+function appendToNote(fromNumber, id, text) {
+  const note = findNote(fromNumber, id);
+  if (!note) {
+    return { success: false, message: `No note #${id}. Use /notes to see your notes.` };
+  }
+  if (!text || !text.trim()) {
+    return { success: false, message: 'Nothing to append.' };
+  }
+  note.content = note.content ? `${note.content}\n${text.trim()}` : text.trim();
+  note.updatedAt = new Date().toISOString();
+  store.save();
+  return { success: true, message: `Added to note #${note.id}: ${note.title}`, data: note };
+}
+
+function deleteNote(fromNumber, id) {
+  const note = findNote(fromNumber, id);
+  if (!note) {
+    return { success: false, message: `No note #${id}. Use /notes to see your notes.` };
+  }
+  const data = store.load();
+  data.notes = data.notes.filter(existing => existing !== note);
+  store.save();
+  return { success: true, message: `Note #${note.id} deleted: ${note.title}`, data: note };
+}
+
+// Return notes newest first, optionally filtered by owner and tag.
+// A missing fromNumber returns every user's notes (used by the REST API).
+function getNotes({ fromNumber, tag } = {}) {
+  const wantedTag = tag ? normalizeTags([tag])[0] : null;
+  return store.load().notes
+    .filter(note => !fromNumber || note.fromNumber === fromNumber)
+    .filter(note => !wantedTag || note.tags.includes(wantedTag))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+// Full-text search over title and content. Every query term must appear;
+// title hits weigh more than content hits.
+function searchNotes({ fromNumber, query, tag } = {}) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  return getNotes({ fromNumber, tag })
+    .map(note => {
+      const titleTokens = tokenize(note.title);
+      const contentTokens = tokenize(note.content);
+      let score = 0;
+      for (const term of terms) {
+        const titleHits = titleTokens.filter(token => token.startsWith(term)).length;
+        const contentHits = contentTokens.filter(token => token.startsWith(term)).length;
+        if (titleHits + contentHits === 0) return null;
+        score += titleHits * 3 + contentHits;
+      }
+      return { note, score };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.note);
+}
+
+function listNotes(fromNumber, tag) {
+  const notes = getNotes({ fromNumber, tag });
+  if (notes.length === 0) {
+    return { success: true, message: tag ? `You have no notes tagged #${normalizeTags([tag])[0]}.` : 'You have no notes yet. Create one with /note <text>' };
+  }
+  const more = notes.length > MAX_LIST_RESULTS ? `\n\n…and ${notes.length - MAX_LIST_RESULTS} more` : '';
+  return {
+    success: true,
+    message: `Your notes${tag ? ` tagged #${normalizeTags([tag])[0]}` : ''}:\n\n${notes.slice(0, MAX_LIST_RESULTS).map(formatNoteLine).join('\n')}${more}`
+  };
+}
+
+function findNotes(fromNumber, query) {
+  const notes = searchNotes({ fromNumber, query });
+  if (notes.length === 0) {
+    return { success: true, message: `No notes match "${query}".` };
+  }
+  // A single hit is shown in full, several hits as a list
+  if (notes.length === 1) {
+    return { success: true, message: formatNote(notes[0]) };
+  }
+  return {
+    success: true,
+    message: `Notes matching "${query}":\n\n${notes.slice(0, MAX_LIST_RESULTS).map(formatNoteLine).join('\n')}`
+  };
+}
+
+function showNote(fromNumber, id) {
+  const note = findNote(fromNumber, id);
+  if (!note) {
+    return { success: false, message: `No note #${id}. Use /notes to see your notes.` };
+  }
+  return { success: true, message: formatNote(note) };
+}
+
+// Parse "/note" command text: "Title: content #tag1 #tag2". Without a colon
+// the first line becomes the title.
+function parseNoteText(text) {
+  const tags = (text.match(/#[\p{L}\p{N}_-]+/gu) || []);
+  const withoutTags = text.replace(/#[\p{L}\p{N}_-]+/gu, '').trim();
+  const colon = withoutTags.indexOf(':');
+  if (colon > 0 && colon <= 60 && !withoutTags.slice(0, colon).includes('\n')) {
+    return {
+      title: withoutTags.slice(0, colon).trim(),
+      content: withoutTags.slice(colon + 1).trim(),
+      tags
+    };
+  }
+  return { title: '', content: withoutTags, tags };
+}
+
+module.exports = {
+  createNote,
+  appendToNote,
+  deleteNote,
+  getNotes,
+  searchNotes,
+  listNotes,
+  findNotes,
+  showNote,
+  findNote,
+  parseNoteText
+};
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { getStateStore } = require('./stateStore');
+
+// AI-triggered actions with side effects wait here until the user confirms
+// them. One pending action per phone number; a newer one replaces the older.
+const PENDING_ACTION_TTL_MINUTES = parseInt(process.env.PENDING_ACTION_TTL_MINUTES, 10) || 10;
+// Expired actions are kept a little longer so a late "yes" gets a clear answer
+const EXPIRED_GRACE_MS = 60 * 60 * 1000;
+
+function key(fromNumber) {
+  return `pending:${fromNumber}`;
+}
+
+function storeTtl() {
+  return PENDING_ACTION_TTL_MINUTES * 60000 + EXPIRED_GRACE_MS;
+}
+
+function isExpired(pending, now = Date.now()) {
+  return now > new Date(pending.expiresAt).getTime();
+}
+
+async function createPendingAction(fromNumber, { action, params, userMessage }) {
+  const now = Date.now();
+  const pending = {
+    id: crypto.randomUUID(),
+    fromNumber,
+    action,
+    params,
+    userMessage,
+    editingField: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + PENDING_ACTION_TTL_MINUTES * 60000).toISOString()
+  };
+  await getStateStore().set(key(fromNumber), pending, storeTtl());
+  return pending;
+}
+
+// Returns the pending action, including expired ones (flagged with `expired`)
+// so the caller can tell the user their confirmation came too late
+async function getPendingAction(fromNumber) {
+  const pending = await getStateStore().get(key(fromNumber));
+  if (!pending) return null;
+  return { ...pending, expired: isExpired(pending) };
+}
+
+async function updatePendingAction(fromNumber, changes) {
+  return await getStateStore().update(key(fromNumber), pending => {
+    if (!pending) return null;
+    return {
+      ...pending,
+      ...changes,
+      // Any interaction keeps the confirmation window open
+      expiresAt: new Date(Date.now() + PENDING_ACTION_TTL_MINUTES * 60000).toISOString()
+    };
+  }, storeTtl());
+}
+
+async function clearPendingAction(fromNumber) {
+  await getStateStore().delete(key(fromNumber));
+}
+
+module.exports = {
+  createPendingAction,
+  getPendingAction,
+  updatePendingAction,
+  clearPendingAction,
+  PENDING_ACTION_TTL_MINUTES
+};
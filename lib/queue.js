@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { logger, runWithContext } = require('./logger');
+
+// Persistent in-process job queue. Jobs are written to a JSON file before they
+// are acknowledged, so a crash or deploy doesn't lose them: jobs that were
+// running when the process stopped are picked up again on the next start
+// (at-least-once delivery).
+//
+// Every job has a key (the sender's number for inbound messages). Jobs with the
+// same key run strictly one after another in the order they were enqueued,
+// including while a job waits for a retry; different keys run in parallel up
+// to `concurrency`. A handler that throws a transient error (network trouble,
+// HTTP 408/429/5xx) is retried with exponential backoff; other errors, or
+// running out of attempts, move the job to the failed list.
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY, 10) || 4;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+const QUEUE_RETRY_BASE_DELAY_MS = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS, 10) || 1000;
+const RETRY_MAX_DELAY_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+const MAX_FAILED_JOBS = 200;
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Whether an error is worth retrying. Errors can decide for themselves with a
+// `transient` property; otherwise HTTP statuses (axios and the Gemini SDK) and
+// network error codes are checked.
+function isTransientError(error) {
+  if (!error) return false;
+  if (typeof error.transient === 'boolean') return error.transient;
+  const status = error.status || (error.response && error.response.status);
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code) || /fetch failed|network|timed? ?out/i.test(error.message || '');
+}
+
+function backoffDelay(attempt, baseDelayMs) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// handler  - async (job) => void, job is { id, key, payload, attempts, ... }
+// onFailed - optional async (job, error) => void, called once a job has given up
+function createJobQueue(fileName, {
+  handler,
+  onFailed,
+  concurrency = QUEUE_CONCURRENCY,
+  maxAttempts = QUEUE_MAX_ATTEMPTS,
+  retryBaseDelayMs = QUEUE_RETRY_BASE_DELAY_MS
+}) {
+  const store = createJsonStore(fileName, { jobs: [], failed: [] });
+  const runningKeys = new Set();
+  const inFlight = new Set();
+  let timer = null;
+  let stopped = true;
+
+  // correlationId - optional; the job's log lines (and the handler's) carry it
+  function enqueue(key, payload, { correlationId } = {}) {
+    const data = store.load();
+    const job = {
+      id: crypto.randomUUID(),
+      key: String(key),
+      correlationId: correlationId || null,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      runAt: Date.now(),
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+    data.jobs.push(job);
+    store.save();
+    kick();
+    return job;
+  }
+
+  // The first job of each key that is due and whose key is idle
+  function nextRunnable(now = Date.now()) {
+    const seenKeys = new Set();
+    for (const job of store.load().jobs) {
+      if (seenKeys.has(job.key)) continue;
+      seenKeys.add(job.key);
+      if (job.status === 'queued' && job.runAt <= now && !runningKeys.has(job.key)) return job;
+    }
+    return null;
+  }
+
+  function kick() {
+    if (stopped) return;
+    while (inFlight.size < concurrency) {
+      const job = nextRunnable();
+      if (!job) return;
+      const run = runWithContext({ correlationId: job.correlationId || job.id }, () => runJob(job)).finally(() => {
+        inFlight.delete(run);
+        kick();
+      });
+      inFlight.add(run);
+    }
+  }
+
+  async function runJob(job) {
+    const data = store.load();
+    runningKeys.add(job.key);
+    job.status = 'running';
+    job.attempts++;
+    store.save();
+
+    try {
+      await handler(job);
+      data.jobs = data.jobs.filter(existing => existing.id !== job.id);
+    } catch (error) {
+      job.lastError = error.message;
+      if (isTransientError(error) && job.attempts < maxAttempts) {
+        const delay = backoffDelay(job.attempts, retryBaseDelayMs);
+        logger.warn(`🔁 Job failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s`, { jobId: job.id, key: job.key, error: error.message });
+        job.status = 'queued';
+        job.runAt = Date.now() + delay;
+      } else {
+        logger.error(`💀 Job failed after ${job.attempts} attempt(s)`, { jobId: job.id, key: job.key, error: error.message });
+        data.jobs = data.jobs.filter(existing => existing.id !== job.id);
+        data.failed.push({ ...job, status: 'failed', failedAt: new Date().toISOString() });
+        data.failed = data.failed.slice(-MAX_FAILED_JOBS);
+        if (onFailed) {
+          try {
+            await onFailed(job, error);
+          } catch (hookError) {
+            logger.error('Error in job failure handler', { jobId: job.id, error: hookError.message });
+          }
+        }
+      }
+    } finally {
+      runningKeys.delete(job.key);
+      store.save();
+    }
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    // Jobs that were running when the process died start over
+    const data = store.load();
+    const interrupted = data.jobs.filter(job => job.status === 'running');
+    for (const job of interrupted) job.status = 'queued';
+    if (interrupted.length > 0) store.save();
+    if (data.jobs.length > 0) logger.info(`📬 Resuming ${data.jobs.length} queued job(s)`);
+    // Polling picks up jobs whose retry delay has passed
+    timer = setInterval(kick, POLL_INTERVAL_MS);
+    timer.unref();
+    kick();
+  }
+
+  // Stop taking new jobs and wait up to `timeoutMs` for running ones
+  async function stop({ timeoutMs = 10000 } = {}) {
+    stopped = true;
+    if (timer) clearInterval(timer);
+    timer = null;
+    let timeout;
+    await Promise.race([
+      Promise.allSettled([...inFlight]),
+      new Promise(resolve => { timeout = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timeout);
+  }
+
+  function getStats() {
+    const { jobs, failed } = store.load();
+    const now = Date.now();
+    const perKey = {};
+    for (const job of jobs) perKey[job.key] = (perKey[job.key] || 0) + 1;
+    return {
+      depth: jobs.length,
+      running: jobs.filter(job => job.status === 'running').length,
+      waitingForRetry: jobs.filter(job => job.status === 'queued' && job.runAt > now).length,
+      failed: failed.length,
+      oldestQueuedAt: jobs.length > 0 ? jobs[0].createdAt : null,
+      perKey
+    };
+  }
+
+  function listJobs() {
+    return store.load().jobs;
+  }
+
+  function listFailed() {
+    return store.load().failed;
+  }
+
+  // Put a failed job back at the end of the queue with fresh attempts
+  function retryFailed(id) {
+    const data = store.load();
+    const job = data.failed.find(failed => failed.id === id);
+    if (!job) return null;
+    data.failed = data.failed.filter(failed => failed !== job);
+    const requeued = { ...job, status: 'queued', attempts: 0, runAt: Date.now() };
+    delete requeued.failedAt;
+    data.jobs.push(requeued);
+    store.save();
+    kick();
+    return requeued;
+  }
+
+  function deleteFailed(id) {
+    const data = store.load();
+    const before = data.failed.length;
+    data.failed = data.failed.filter(failed => failed.id !== id);
+    store.save();
+    return data.failed.length < before;
+  }
+
+  return { enqueue, start, stop, getStats, listJobs, listFailed, retryFailed, deleteFailed };
+}
+
+module.exports = { createJobQueue, isTransientError };
@@ -0,0 +1,331 @@
+const { createJsonStore } = require('./store');
+const {
+  isValidDate, isValidTime, toLocalDateString, toLocalTimeString, combineDateTime, addDays, addMonths, withDayOfMonth, weekdayOf, parseTimeOfDay, formatDateTime
+} = require('./dates');
+const users = require('./users');
+const { logger, runWithContext, newCorrelationId } = require('./logger');
+
+// Reminders are persisted to data/reminders.json so they survive a restart
+const store = createJsonStore('reminders.json', { nextId: 1, reminders: [] });
+
+const REMINDER_POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || 30 * 1000;
+// High priority reminders get an extra heads-up this many minutes before they are due
+const HIGH_PRIORITY_LEAD_MINUTES = parseInt(process.env.REMINDER_HIGH_PRIORITY_LEAD_MINUTES, 10) || 15;
+// Failed deliveries are retried with a doubling delay (1 minute, 2, 4, ... up to 15),
+// and the reminder is only given up on once it has kept failing for this long
+const DELIVERY_RETRY_WINDOW_MS = (parseInt(process.env.REMINDER_RETRY_WINDOW_MINUTES, 10) || 60) * 60000;
+const DELIVERY_RETRY_BASE_DELAY_MS = 60 * 1000;
+const DELIVERY_RETRY_MAX_DELAY_MS = 15 * 60 * 1000;
+
+const PRIORITIES = ['low', 'normal', 'high'];
+const PRIORITY_ICONS = { low: '🟢', normal: '🟡', high: '🔴' };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+let schedulerTimer = null;
+
+// Parse durations like "10m", "2h", "1d", "1h30m", "30 minutes" into milliseconds
+function parseDuration(text) {
+  if (!text) return null;
+  const units = {
+    s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+    m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+    h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+    d: 86400000, day: 86400000, days: 86400000,
+    w: 604800000, week: 604800000, weeks: 604800000
+  };
+  const pattern = /(\d+)\s*([a-z]+)/gi;
+  let total = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const unit = units[match[2].toLowerCase()];
+    if (!unit) return null;
+    total += parseInt(match[1], 10) * unit;
+  }
+  // A bare number is treated as minutes ("/snooze 3 10")
+  if (total === 0 && /^\d+$/.test(text.trim())) {
+    total = parseInt(text.trim(), 10) * 60000;
+  }
+  return total > 0 ? total : null;
+}
+
+// Work out a recurrence rule from free text such as "every Monday at 9",
+// "daily", "every weekday" or "monthly". Returns null for one-off reminders.
+function parseRecurrence(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+
+  if (/\b(every ?day|daily)\b/.test(lower)) return { freq: 'daily' };
+  if (/\b(every weekday|weekdays|every working day)\b/.test(lower)) return { freq: 'weekly', days: [1, 2, 3, 4, 5] };
+  if (/\b(every month|monthly)\b/.test(lower)) return { freq: 'monthly' };
+
+  const days = WEEKDAYS
+    .map((day, index) => (new RegExp(`\\bevery (${day}|${day.slice(0, 3)})\\b`).test(lower) ? index : -1))
+    .filter(index => index !== -1);
+  if (days.length > 0) return { freq: 'weekly', days };
+
+  if (/\b(every week|weekly)\b/.test(lower)) return { freq: 'weekly' };
+  return null;
+}
+
+// Build the first due date from the date/time params. Dates and times are
+// interpreted in the user's timezone (the server's when none is given).
+function computeFirstDueAt(params, recurrence, now = new Date(), timeZone) {
+  const time = isValidTime(params.time) ? params.time : '09:00';
+  const hasDate = isValidDate(params.date);
+  const date = hasDate ? params.date : toLocalDateString(now, timeZone);
+
+  const due = combineDateTime(date, time, timeZone);
+
+  if (recurrence) {
+    // Snap to the first matching occurrence that is not in the past
+    if (due <= now || (recurrence.days && !recurrence.days.includes(weekdayOf(date)))) {
+      return computeNextOccurrence(due, recurrence, now, timeZone);
+    }
+  } else if (!hasDate && due <= now) {
+    // "remind me at 8" when it's already 10 means tomorrow
+    return combineDateTime(addDays(date, 1), time, timeZone);
+  }
+  return due;
+}
+
+// Find the next occurrence of a recurring reminder strictly after `after`.
+// Steps are taken on the wall clock so "every day at 9" stays at 9 across DST changes.
+// Monthly reminders stay on the day they were set for (recurrence.dayOfMonth), and
+// fall on the last day of shorter months: the 31st, then Feb 29, then Mar 31.
+function computeNextOccurrence(previousDue, recurrence, after = new Date(), timeZone) {
+  const start = toLocalDateString(new Date(previousDue), timeZone);
+  const time = toLocalTimeString(new Date(previousDue), timeZone);
+  const dayOfMonth = recurrence.dayOfMonth || Number(start.slice(8, 10));
+  let date = start;
+  // Bounded loop so a corrupt rule can never spin forever
+  for (let i = 0; i < 1000; i++) {
+    if (recurrence.freq === 'monthly') {
+      date = withDayOfMonth(addMonths(start, i + 1), dayOfMonth);
+    } else if (recurrence.freq === 'weekly' && !recurrence.days) {
+      date = addDays(date, 7);
+    } else {
+      date = addDays(date, 1);
+    }
+    const next = combineDateTime(date, time, timeZone);
+    const dayMatches = !recurrence.days || recurrence.days.includes(weekdayOf(date));
+    if (dayMatches && next > after) return next;
+  }
+  return null;
+}
+
+function describeRecurrence(recurrence) {
+  if (!recurrence) return '';
+  if (recurrence.freq === 'daily') return 'every day';
+  if (recurrence.freq === 'monthly') return 'every month';
+  if (recurrence.days) {
+    if (recurrence.days.join(',') === '1,2,3,4,5') return 'every weekday';
+    return 'every ' + recurrence.days.map(day => WEEKDAYS[day][0].toUpperCase() + WEEKDAYS[day].slice(1)).join(', ');
+  }
+  return 'every week';
+}
+
+function formatReminderLine(reminder) {
+  const repeat = reminder.recurrence ? ` (${describeRecurrence(reminder.recurrence)})` : '';
+  return `${PRIORITY_ICONS[reminder.priority] || ''} #${reminder.id} ${reminder.text} - ${formatDateTime(reminder.dueAt, reminder.timeZone)}${repeat}`;
+}
+
+// Create a reminder from the AI params (text, date, time, priority, repeat)
+function addReminder(fromNumber, params = {}, userMessage = '') {
+  const text = (params.text || '').trim();
+  if (!text) {
+    return { success: false, message: 'What should I remind you about?' };
+  }
+
+  const recurrence = parseRecurrence(params.repeat) || parseRecurrence(userMessage);
+  const effectiveParams = { ...params };
+  if (!effectiveParams.time) effectiveParams.time = parseTimeOfDay(userMessage);
+
+  const timeZone = users.getTimeZone(fromNumber);
+  const dueAt = computeFirstDueAt(effectiveParams, recurrence, new Date(), timeZone);
+  if (!dueAt || isNaN(dueAt.getTime())) {
+    return { success: false, message: `I couldn't understand the date/time for that reminder.` };
+  }
+  if (recurrence && recurrence.freq === 'monthly') {
+    recurrence.dayOfMonth = Number(toLocalDateString(dueAt, timeZone).slice(8, 10));
+  }
+
+  const priority = PRIORITIES.includes((params.priority || '').toLowerCase()) ? params.priority.toLowerCase() : 'normal';
+  const data = store.load();
+  const reminder = {
+    id: data.nextId++,
+    fromNumber,
+    text,
+    priority,
+    recurrence,
+    dueAt: dueAt.toISOString(),
+    // Recurrences keep following the wall clock of the timezone they were set in
+    timeZone,
+    status: 'pending',
+    preAlertSent: false,
+    attempts: 0,
+    createdAt: new Date().toISOString()
+  };
+  data.reminders.push(reminder);
+  store.save();
+
+  logger.info(`Reminder #${reminder.id} scheduled`, { fromNumber, dueAt: reminder.dueAt });
+  return {
+    success: true,
+    message: `Reminder #${reminder.id} set for ${formatDateTime(reminder.dueAt, timeZone)}${reminder.recurrence ? ` (${describeRecurrence(reminder.recurrence)})` : ''}: ${text}`,
+    data: reminder
+  };
+}
+
+function getPendingReminders(fromNumber) {
+  return store.load().reminders
+    .filter(reminder => reminder.fromNumber === fromNumber && reminder.status === 'pending')
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+}
+
+function findOwnReminder(fromNumber, id) {
+  const reminderId = parseInt(String(id).replace('#', ''), 10);
+  return store.load().reminders.find(reminder =>
+    reminder.id === reminderId && reminder.fromNumber === fromNumber && reminder.status === 'pending'
+  );
+}
+
+function listReminders(fromNumber) {
+  const reminders = getPendingReminders(fromNumber);
+  if (reminders.length === 0) {
+    return { success: true, message: 'You have no upcoming reminders.' };
+  }
+  return {
+    success: true,
+    message: `Your reminders:\n\n${reminders.map(formatReminderLine).join('\n')}`
+  };
+}
+
+function snoozeReminder(fromNumber, id, durationText) {
+  const reminder = findOwnReminder(fromNumber, id);
+  if (!reminder) {
+    return { success: false, message: `No active reminder #${id}. Use /reminders to see your reminders.` };
+  }
+  const duration = parseDuration(durationText || '10m');
+  if (!duration) {
+    return { success: false, message: `I couldn't understand "${durationText}". Try something like 10m, 2h or 1d.` };
+  }
+
+  // Snoozing pushes back from the due time, or from now once the reminder is overdue
+  // (so a reminder that already fired never lands in the past)
+  const base = Math.max(Date.now(), new Date(reminder.dueAt).getTime());
+  reminder.dueAt = new Date(base + duration).toISOString();
+  reminder.preAlertSent = false;
+  clearDeliveryFailures(reminder);
+  store.save();
+  return { success: true, message: `Reminder #${reminder.id} snoozed until ${formatDateTime(reminder.dueAt, reminder.timeZone)}` };
+}
+
+function cancelReminder(fromNumber, id) {
+  const reminder = findOwnReminder(fromNumber, id);
+  if (!reminder) {
+    return { success: false, message: `No active reminder #${id}. Use /reminders to see your reminders.` };
+  }
+  reminder.status = 'cancelled';
+  store.save();
+  return { success: true, message: `Reminder #${reminder.id} cancelled: ${reminder.text}` };
+}
+
+function clearDeliveryFailures(reminder) {
+  reminder.attempts = 0;
+  delete reminder.firstFailedAt;
+  delete reminder.nextAttemptAt;
+}
+
+// Deliver everything that is due. Reminders missed while the server was down
+// are delivered on the first tick after startup.
+async function processDueReminders(sendMessage, now = new Date()) {
+  const data = store.load();
+  let changed = false;
+
+  for (const reminder of data.reminders) {
+    if (reminder.status !== 'pending') continue;
+    const dueAt = new Date(reminder.dueAt);
+
+    if (reminder.priority === 'high' && !reminder.preAlertSent && dueAt > now &&
+        dueAt - now <= HIGH_PRIORITY_LEAD_MINUTES * 60000) {
+      const result = await sendMessage(reminder.fromNumber, `⏳ Heads up: "${reminder.text}" is due at ${formatDateTime(reminder.dueAt, reminder.timeZone)}`);
+      if (!result || result.success !== false) {
+        reminder.preAlertSent = true;
+        changed = true;
+      }
+      continue;
+    }
+
+    if (dueAt > now) continue;
+    if (reminder.nextAttemptAt && new Date(reminder.nextAttemptAt) > now) continue;
+
+    const prefix = reminder.priority === 'high' ? '🔴 URGENT REMINDER' : '⏰ Reminder';
+    const result = await sendMessage(reminder.fromNumber, `${prefix}: ${reminder.text}\n\nReply /snooze ${reminder.id} 10m to snooze.`);
+    changed = true;
+
+    if (result && result.success === false) {
+      reminder.attempts++;
+      reminder.firstFailedAt = reminder.firstFailedAt || now.toISOString();
+      if (now - new Date(reminder.firstFailedAt) >= DELIVERY_RETRY_WINDOW_MS) {
+        logger.error(`Giving up on reminder #${reminder.id} after ${reminder.attempts} failed deliveries`);
+        reminder.status = 'failed';
+      } else {
+        const delay = Math.min(DELIVERY_RETRY_BASE_DELAY_MS * 2 ** (reminder.attempts - 1), DELIVERY_RETRY_MAX_DELAY_MS);
+        reminder.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+      }
+      continue;
+    }
+
+    clearDeliveryFailures(reminder);
+    reminder.lastSentAt = now.toISOString();
+    const next = reminder.recurrence ? computeNextOccurrence(dueAt, reminder.recurrence, now, reminder.timeZone) : null;
+    if (next) {
+      reminder.dueAt = next.toISOString();
+      reminder.preAlertSent = false;
+    } else {
+      reminder.status = 'sent';
+    }
+  }
+
+  if (changed) store.save();
+}
+
+function startReminderScheduler(sendMessage) {
+  if (schedulerTimer) return;
+  let running = false;
+  const tick = async () => {
+    // Skip a tick rather than overlap if WhatsApp is slow
+    if (running) return;
+    running = true;
+    try {
+      // One correlation id per scheduler run, shared by the reminders it sends
+      await runWithContext({ correlationId: newCorrelationId() }, () => processDueReminders(sendMessage));
+    } catch (error) {
+      logger.error('Reminder scheduler error', { error });
+    } finally {
+      running = false;
+    }
+  };
+  schedulerTimer = setInterval(tick, REMINDER_POLL_INTERVAL_MS);
+  schedulerTimer.unref();
+  tick();
+  logger.info(`⏰ Reminder scheduler started (every ${REMINDER_POLL_INTERVAL_MS / 1000}s)`);
+}
+
+function stopReminderScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  addReminder,
+  listReminders,
+  snoozeReminder,
+  cancelReminder,
+  processDueReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+  parseDuration,
+  parseRecurrence,
+  computeNextOccurrence
+};
@@ -0,0 +1,132 @@
+const { isValidDate, isValidTime } = require('./dates');
+
+// Minimal JSON Schema validator covering the subset action param schemas use:
+// type, properties, required, enum, items, minLength/maxLength, minimum/maximum
+// and the formats below. Every error carries the keyword that failed so callers
+// can tell missing params apart from malformed ones.
+
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+function splitList(value) {
+  return String(value).split(/[,;]/).map(item => item.trim()).filter(Boolean);
+}
+
+const FORMATS = {
+  email: value => EMAIL_PATTERN.test(value),
+  // One or more addresses separated by commas or semicolons
+  'email-list': value => splitList(value).length > 0 && splitList(value).every(item => EMAIL_PATTERN.test(item)),
+  date: isValidDate,
+  time: isValidTime
+};
+
+const FORMAT_HINTS = {
+  email: 'a valid email address',
+  'email-list': 'one or more valid email addresses separated by commas',
+  date: 'a date formatted as YYYY-MM-DD',
+  time: 'a time formatted as HH:MM (24h)'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+// Returns a list of { path, keyword, message } errors; an empty list means the value is valid
+function validate(schema, value, path = 'params') {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, keyword: 'type', message: `${path} must be of type ${[].concat(schema.type).join(' or ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, keyword: 'enum', message: `${path} must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, keyword: 'format', message: `${path} must be ${FORMAT_HINTS[schema.format]} (got "${value}")` });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, keyword: 'minLength', message: `${path} must not be empty` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, keyword: 'maxLength', message: `${path} must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, keyword: 'minimum', message: `${path} must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, keyword: 'maximum', message: `${path} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ path: `${path}.${key}`, keyword: 'required', param: key, message: `${path}.${key} is required` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      // Empty optional values (Gemini likes to send "" for unused fields) are not validated
+      if (value[key] === undefined || value[key] === null || value[key] === '') continue;
+      errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+// Fix up harmless type mismatches in model output before validating:
+// numeric strings for numbers, "true"/"yes" for booleans, comma separated
+// strings for arrays, enum case.
+function coerce(schema, value) {
+  if (!schema || value === undefined || value === null) return value;
+  const types = [].concat(schema.type || []);
+
+  if ((types.includes('integer') || types.includes('number')) && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    value = Number(value);
+  }
+  if (types.includes('boolean') && typeof value === 'string' && /^(true|false|yes|no)$/i.test(value.trim())) {
+    value = /^(true|yes)$/i.test(value.trim());
+  }
+  if (types.includes('array') && typeof value === 'string') {
+    value = splitList(value);
+  }
+  if (typeof value === 'string') {
+    value = value.trim();
+    if (schema.enum) {
+      const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+      if (match) value = match;
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value = value.map(item => coerce(schema.items, item));
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    value = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in value) value[key] = coerce(propertySchema, value[key]);
+    }
+  }
+  return value;
+}
+
+module.exports = { validate, coerce, splitList };
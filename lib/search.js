@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getStateStore } = require('./stateStore');
+const { logger } = require('./logger');
+
+// Web search behind a small provider interface:
+//   search(query, limit) -> [{ title, url, snippet }]
+//   fetchPage(url)       -> the page's readable text
+// Select the provider with SEARCH_PROVIDER=http|fixture (default: http).
+// The http provider calls SEARCH_API_URL with the query in SEARCH_QUERY_PARAM and
+// understands the JSON of SearXNG, Brave, Google Programmable Search and SerpAPI.
+// The fixture provider answers from fixtures/search.json without network access.
+const SEARCH_PROVIDER = process.env.SEARCH_PROVIDER || 'http';
+const SEARCH_API_URL = process.env.SEARCH_API_URL;
+const SEARCH_API_KEY = process.env.SEARCH_API_KEY;
+const SEARCH_API_KEY_HEADER = process.env.SEARCH_API_KEY_HEADER || 'Authorization';
+const SEARCH_QUERY_PARAM = process.env.SEARCH_QUERY_PARAM || 'q';
+const SEARCH_FIXTURES = process.env.SEARCH_FIXTURES || path.join(__dirname, '..', 'fixtures', 'search.json');
+const DEFAULT_LIMIT = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_PAGE_CHARS = 8000;
+// How long "open 2" keeps working after a search
+const RESULTS_TTL_MS = 30 * 60 * 1000;
+
+function normalizeResults(data) {
+  const raw = data.results || (data.web && data.web.results) || data.items || data.organic_results || [];
+  return raw.map(result => ({
+    title: result.title || result.name || '',
+    url: result.url || result.link || '',
+    snippet: result.content || result.description || result.snippet || ''
+  })).filter(result => result.url);
+}
+
+// Crude HTML to text, enough to give the summarizer the gist of a page
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style|noscript|svg|nav|footer|header)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+function createHttpSearchProvider({ url = SEARCH_API_URL, apiKey = SEARCH_API_KEY, keyHeader = SEARCH_API_KEY_HEADER, queryParam = SEARCH_QUERY_PARAM } = {}) {
+  async function search(query, limit) {
+    if (!url) throw new Error('SEARCH_API_URL is not configured');
+    const headers = { Accept: 'application/json' };
+    if (apiKey) headers[keyHeader] = keyHeader === 'Authorization' ? `Bearer ${apiKey}` : apiKey;
+    const response = await axios.get(url, {
+      params: { [queryParam]: query, format: 'json', count: limit },
+      headers,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return normalizeResults(response.data).slice(0, limit);
+  }
+
+  async function fetchPage(pageUrl) {
+    const response = await axios.get(pageUrl, {
+      timeout: REQUEST_TIMEOUT_MS,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; WhatsAppAssistant/1.0)' }
+    });
+    return htmlToText(response.data).slice(0, MAX_PAGE_CHARS);
+  }
+
+  return { name: 'http', search, fetchPage };
+}
+
+function createFixtureSearchProvider(fixturePath = SEARCH_FIXTURES) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  async function search(query, limit) {
+    const results = fixtures.results[String(query).trim().toLowerCase()] || fixtures.results.default;
+    return results.slice(0, limit);
+  }
+
+  async function fetchPage(pageUrl) {
+    return fixtures.pages[pageUrl] || '';
+  }
+
+  return { name: 'fixture', search, fetchPage };
+}
+
+function createSearchProvider(type = SEARCH_PROVIDER) {
+  switch (type) {
+    case 'http':
+      return createHttpSearchProvider();
+    case 'fixture':
+      return createFixtureSearchProvider();
+    default:
+      throw new Error(`Unknown SEARCH_PROVIDER "${type}", expected http or fixture`);
+  }
+}
+
+let provider = null;
+// async (prompt, fromNumber) => text; set by the server when Gemini is available
+let summarizer = null;
+
+function getSearchProvider() {
+  if (!provider) provider = createSearchProvider();
+  return provider;
+}
+
+function setSearchProvider(newProvider) {
+  provider = newProvider;
+}
+
+function setSummarizer(fn) {
+  summarizer = fn;
+}
+
+async function summarize(prompt, fromNumber) {
+  if (!summarizer) return null;
+  try {
+    return (await summarizer(prompt, fromNumber)).trim() || null;
+  } catch (error) {
+    logger.error('Error summarizing search content', { error: error.message });
+    return null;
+  }
+}
+
+function resultsKey(fromNumber) {
+  return `search:${fromNumber}`;
+}
+
+function formatSources(results) {
+  return results.map((result, index) => `${index + 1}. ${result.title}\n${result.url}`).join('\n');
+}
+
+async function searchWeb(fromNumber, { query, limit } = {}) {
+  query = (query || '').trim();
+  if (!query) {
+    return { success: false, message: 'What would you like me to search for?' };
+  }
+  limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), 10);
+
+  let results;
+  try {
+    results = await getSearchProvider().search(query, limit);
+  } catch (error) {
+    logger.error('Error searching the web', { error: error.message });
+    return { success: false, message: "I couldn't search the web right now. Please try again later." };
+  }
+  if (results.length === 0) {
+    return { success: true, message: `I found nothing for "${query}".`, data: { query, results } };
+  }
+
+  // Remember the results so "open 2" can follow up on them
+  await getStateStore().set(resultsKey(fromNumber), { query, results }, RESULTS_TTL_MS);
+
+  const summary = await summarize(`
+Answer the question or topic "${query}" for a WhatsApp message using only these search results.
+Cite the results you use with their number in square brackets, e.g. [2]. Use at most 120 words,
+plain text with WhatsApp formatting (*bold*, _italic_), no markdown links or headings.
+
+${results.map((result, index) => `[${index + 1}] ${result.title}\n${result.url}\n${result.snippet}`).join('\n\n')}
+  `, fromNumber) || results.map((result, index) => `[${index + 1}] ${result.snippet || result.title}`).join('\n');
+
+  return {
+    success: true,
+    message: `🔎 *${query}*\n\n${summary}\n\nSources:\n${formatSources(results)}\n\nReply *open <number>* to read a result.`,
+    data: { query, results }
+  };
+}
+
+// "open 2" / "/open 2" after a search
+function parseOpenRequest(text) {
+  const match = (text || '').trim().match(/^\/?open\s+#?(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+async function getRecentResults(fromNumber) {
+  return await getStateStore().get(resultsKey(fromNumber));
+}
+
+async function openResult(fromNumber, number) {
+  const recent = await getRecentResults(fromNumber);
+  if (!recent) {
+    return { success: false, message: 'There are no recent search results to open. Search first with /search <query>.' };
+  }
+  const result = recent.results[number - 1];
+  if (!result) {
+    return { success: false, message: `Pick a result between 1 and ${recent.results.length}.` };
+  }
+
+  let text;
+  try {
+    text = await getSearchProvider().fetchPage(result.url);
+  } catch (error) {
+    logger.error('Error fetching search result', { url: result.url, error: error.message });
+    return { success: false, message: `I couldn't open ${result.url} right now.` };
+  }
+  if (!text) {
+    return { success: true, message: `📄 *${result.title}*\n${result.url}\n\n${result.snippet || "I couldn't read anything from that page."}` };
+  }
+
+  const summary = await summarize(`
+Summarize this web page for a WhatsApp message in at most 150 words, focusing on what matters for "${recent.query}".
+Plain text with WhatsApp formatting (*bold*, _italic_), no markdown links or headings.
+
+Title: ${result.title}
+URL: ${result.url}
+
+${text}
+  `, fromNumber) || (text.length > 600 ? `${text.slice(0, 600)}…` : text);
+
+  return { success: true, message: `📄 *${result.title}*\n${result.url}\n\n${summary}` };
+}
+
+module.exports = {
+  searchWeb,
+  openResult,
+  parseOpenRequest,
+  getRecentResults,
+  setSummarizer,
+  createHttpSearchProvider,
+  createFixtureSearchProvider,
+  createSearchProvider,
+  setSearchProvider,
+  htmlToText
+};
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Meta signs every webhook delivery with the app secret:
+//   X-Hub-Signature-256: sha256=<hex HMAC-SHA256 of the raw request body>
+function computeSignature(rawBody, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function isValidSignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader || !secret) return false;
+  const expected = Buffer.from(computeSignature(rawBody, secret));
+  const received = Buffer.from(String(signatureHeader));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Express middleware verifying X-Hub-Signature-256. Requires the raw body to
+// be captured as req.rawBody (see the express.json verify hook in server.js).
+// Invalid signatures are always rejected; unsigned requests are only let
+// through outside production so local tools like curl keep working.
+function verifyWebhookSignature({ secret, requireSignature }) {
+  return (req, res, next) => {
+    const signature = req.get('x-hub-signature-256');
+
+    if (!secret) {
+      if (requireSignature) {
+        logger.error('Rejecting webhook: WHATSAPP_APP_SECRET is not set, cannot verify signatures in production');
+        return res.status(500).send('Webhook signature verification is not configured');
+      }
+      return next();
+    }
+
+    if (!signature) {
+      if (requireSignature) {
+        logger.warn('Rejecting unsigned webhook request');
+        return res.status(401).send('Missing signature');
+      }
+      logger.warn('⚠️ Accepting unsigned webhook request (signatures are only enforced in production)');
+      return next();
+    }
+
+    if (!isValidSignature(req.rawBody, signature, secret)) {
+      logger.warn('Rejecting webhook request with invalid signature');
+      return res.status(401).send('Invalid signature');
+    }
+    next();
+  };
+}
+
+module.exports = { computeSignature, isValidSignature, verifyWebhookSignature };
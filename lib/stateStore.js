@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { logger } = require('./logger');
+
+// Key/value store for short-lived conversation state (active flows, pending
+// confirmations) with per-key TTLs. Every backend implements the same async
+// interface:
+//
+//   get(key)                     -> value or null (expired keys read as null)
+//   set(key, value, ttlMs)
+//   delete(key)
+//   keys(prefix)                 -> live keys starting with prefix
+//   update(key, fn, ttlMs)       -> atomic read-modify-write; fn(current) returns
+//                                   the new value, or null/undefined to delete
+//   withLock(key, fn)            -> runs fn while holding an exclusive lock on key
+//   sweepExpired()               -> drops expired keys (no-op where the backend expires natively)
+//   close()
+//
+// Select the backend with STATE_STORE=memory|file|redis (default: file).
+// The redis backend works with any Redis-compatible server (Redis, Valkey,
+// KeyDB, ...) and is the one to use with more than one container.
+
+const STATE_STORE = process.env.STATE_STORE || 'file';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const SWEEP_INTERVAL_MS = parseInt(process.env.STATE_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+// Redis locks expire after LOCK_TTL_MS unless renewed; they are renewed every
+// LOCK_RENEW_MS while their holder is still working, however long that takes
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_RENEW_MS = 10 * 1000;
+const LOCK_WAIT_MS = 15 * 1000;
+
+// In-process mutex: calls for the same key run one after another
+function createLocalLocks() {
+  const tails = new Map();
+  return async function withLock(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    tails.set(key, tail);
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
+
+function isLive(entry, now = Date.now()) {
+  return entry && (!entry.expiresAt || entry.expiresAt > now);
+}
+
+// Shared implementation for the memory and file backends, which differ only
+// in whether `entries` is written to disk after a change
+function createLocalStateStore(entries, persist) {
+  const withLock = createLocalLocks();
+
+  async function get(key) {
+    const entry = entries[key];
+    if (!isLive(entry)) return null;
+    return JSON.parse(JSON.stringify(entry.value));
+  }
+
+  async function set(key, value, ttlMs) {
+    entries[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+    persist();
+  }
+
+  async function remove(key) {
+    if (key in entries) {
+      delete entries[key];
+      persist();
+    }
+  }
+
+  async function keys(prefix = '') {
+    const now = Date.now();
+    return Object.keys(entries).filter(key => key.startsWith(prefix) && isLive(entries[key], now));
+  }
+
+  async function update(key, fn, ttlMs) {
+    return await withLock(`update:${key}`, async () => {
+      const next = await fn(await get(key));
+      if (next === null || next === undefined) {
+        await remove(key);
+        return null;
+      }
+      await set(key, next, ttlMs);
+      return next;
+    });
+  }
+
+  async function sweepExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const key of Object.keys(entries)) {
+      if (!isLive(entries[key], now)) {
+        delete entries[key];
+        removed++;
+      }
+    }
+    if (removed > 0) persist();
+    return removed;
+  }
+
+  return { get, set, delete: remove, keys, update, withLock, sweepExpired, close: async () => {} };
+}
+
+function createMemoryStateStore() {
+  return { backend: 'memory', ...createLocalStateStore({}, () => {}) };
+}
+
+// Persists to data/state.json so in-progress flows survive a restart
+function createFileStateStore(fileName = 'state.json') {
+  const store = createJsonStore(fileName, { entries: {} });
+  return { backend: 'file', ...createLocalStateStore(store.load().entries, () => store.save()) };
+}
+
+function createRedisStateStore(url = REDIS_URL, { prefix = 'wa-bot:' } = {}) {
+  // Only loaded when the redis backend is selected
+  const Redis = require('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+  client.on('error', error => logger.error('Redis state store error', { error: error.message }));
+  const localLocks = createLocalLocks();
+
+  async function get(key) {
+    const raw = await client.get(prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async function set(key, value, ttlMs) {
+    if (ttlMs) {
+      await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await client.set(prefix + key, JSON.stringify(value));
+    }
+  }
+
+  async function remove(key) {
+    await client.del(prefix + key);
+  }
+
+  // SCAN rather than KEYS so a large keyspace doesn't block the server
+  async function keys(keyPrefix = '') {
+    const found = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.scan(cursor, 'MATCH', `${prefix}${keyPrefix}*`, 'COUNT', 200);
+      cursor = next;
+      found.push(...batch.map(key => key.slice(prefix.length)));
+    } while (cursor !== '0');
+    return [...new Set(found)];
+  }
+
+  // Distributed lock (SET NX PX + compare-and-delete release), so two
+  // instances never handle the same user's messages at the same time. The TTL
+  // only frees the lock of a crashed instance; a live holder keeps extending it.
+  async function withLock(key, fn) {
+    return await localLocks(key, async () => {
+      const lockKey = `${prefix}lock:${key}`;
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + LOCK_WAIT_MS;
+      while (await client.set(lockKey, token, 'PX', LOCK_TTL_MS, 'NX') !== 'OK') {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${key}`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      const renewal = setInterval(async () => {
+        try {
+          const renewed = await client.eval(
+            "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end",
+            1, lockKey, token, LOCK_TTL_MS
+          );
+          if (!renewed) logger.error('Lost a state lock while still holding it', { key });
+        } catch (error) {
+          logger.warn('Could not renew a state lock', { key, error: error.message });
+        }
+      }, LOCK_RENEW_MS);
+      renewal.unref();
+      try {
+        return await fn();
+      } finally {
+        clearInterval(renewal);
+        await client.eval(
+          "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+          1, lockKey, token
+        );
+      }
+    });
+  }
+
+  async function update(key, fn, ttlMs) {
+    return await withLock(`update:${key}`, async () => {
+      const next = await fn(await get(key));
+      if (next === null || next === undefined) {
+        await remove(key);
+        return null;
+      }
+      await set(key, next, ttlMs);
+      return next;
+    });
+  }
+
+  return {
+    backend: 'redis',
+    get,
+    set,
+    delete: remove,
+    keys,
+    update,
+    withLock,
+    // Redis expires keys itself
+    sweepExpired: async () => 0,
+    close: async () => { await client.quit(); }
+  };
+}
+
+function createStateStore(type = STATE_STORE) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStateStore();
+    case 'redis':
+      return createRedisStateStore();
+    case 'file':
+      return createFileStateStore();
+    default:
+      throw new Error(`Unknown STATE_STORE "${type}", expected memory, file or redis`);
+  }
+}
+
+// The store shared by the whole app
+let sharedStore = null;
+let sweepTimer = null;
+
+function getStateStore() {
+  if (!sharedStore) {
+    sharedStore = createStateStore();
+    logger.info(`🗄️ Conversation state store: ${sharedStore.backend}`);
+  }
+  return sharedStore;
+}
+
+function startStateSweeper() {
+  if (sweepTimer) return;
+  const store = getStateStore();
+  sweepTimer = setInterval(() => {
+    store.sweepExpired().catch(error => logger.error('State store sweep error', { error }));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  createMemoryStateStore,
+  createFileStateStore,
+  createRedisStateStore,
+  createStateStore,
+  getStateStore,
+  startStateSweeper
+};
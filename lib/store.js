@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Directory where all persistent bot data lives (reminders, notes, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Small JSON file store. The whole document is kept in memory and written
+// back atomically (temp file + rename) so a crash never leaves a half-written file.
+function createJsonStore(fileName, defaultValue) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Could not read data file, starting with empty data', { file: filePath, error: error.message });
+      }
+      data = JSON.parse(JSON.stringify(defaultValue));
+    }
+    return data;
+  }
+
+  function save() {
+    if (!data) return;
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { load, save, filePath };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,183 @@
+const { createJsonStore } = require('./store');
+const { getStateStore } = require('./stateStore');
+const { logger } = require('./logger');
+
+// Rate limits, Gemini quotas and usage accounting.
+//
+// RATE_LIMIT_PER_MINUTE caps how many messages one number may send per minute
+// (default 20, 0 turns it off). The window lives in the state store, so it is
+// shared between instances when STATE_STORE=redis.
+//
+// Daily Gemini quotas (0 or unset = unlimited) count requests and tokens as
+// reported by Gemini's usageMetadata, per user and for the whole bot:
+//   GEMINI_DAILY_REQUESTS_PER_USER, GEMINI_DAILY_TOKENS_PER_USER
+//   GEMINI_DAILY_REQUESTS, GEMINI_DAILY_TOKENS
+// Days are UTC days. Counters are kept per day in data/usage.json for
+// USAGE_RETENTION_DAYS and power GET /api/usage.
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE ?? '20', 10) || 0;
+const RATE_WINDOW_MS = 60 * 1000;
+const QUOTAS = {
+  userRequests: parseInt(process.env.GEMINI_DAILY_REQUESTS_PER_USER, 10) || 0,
+  userTokens: parseInt(process.env.GEMINI_DAILY_TOKENS_PER_USER, 10) || 0,
+  globalRequests: parseInt(process.env.GEMINI_DAILY_REQUESTS, 10) || 0,
+  globalTokens: parseInt(process.env.GEMINI_DAILY_TOKENS, 10) || 0
+};
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 30;
+
+const store = createJsonStore('usage.json', { days: {} });
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function emptyCounters() {
+  return { messages: 0, throttled: 0, geminiRequests: 0, geminiTokens: 0, quotaRejections: 0, actions: {} };
+}
+
+// Counters for `phone` (or the global totals when phone is null) on the current day
+function countersFor(phone, data = store.load()) {
+  const day = today();
+  if (!data.days[day]) {
+    data.days[day] = { total: emptyCounters(), users: {} };
+    pruneOldDays(data);
+  }
+  if (!phone) return data.days[day].total;
+  if (!data.days[day].users[phone]) data.days[day].users[phone] = emptyCounters();
+  return data.days[day].users[phone];
+}
+
+function pruneOldDays(data) {
+  const cutoff = today(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  for (const day of Object.keys(data.days)) {
+    if (day < cutoff) delete data.days[day];
+  }
+}
+
+// Apply `fn` to both the user's and the global counters for today
+function record(phone, fn) {
+  const data = store.load();
+  fn(countersFor(null, data));
+  if (phone) fn(countersFor(phone, data));
+  store.save();
+}
+
+// --- Rate limiting ---
+
+// Count a message against the per-minute limit. Returns { allowed, notify }:
+// `notify` is true for the first rejected message of a window, so the user is
+// told once instead of on every message.
+async function checkRateLimit(phone) {
+  record(phone, counters => counters.messages++);
+  if (!RATE_LIMIT_PER_MINUTE) return { allowed: true };
+
+  const now = Date.now();
+  const window = await getStateStore().update(`rate:${phone}`, current => {
+    if (!current || now - current.startedAt >= RATE_WINDOW_MS) {
+      return { startedAt: now, count: 1, notified: false };
+    }
+    return { ...current, count: current.count + 1 };
+  }, RATE_WINDOW_MS);
+
+  if (window.count <= RATE_LIMIT_PER_MINUTE) return { allowed: true };
+
+  record(phone, counters => counters.throttled++);
+  const retryAfterSeconds = Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000);
+  if (window.notified) return { allowed: false, notify: false, retryAfterSeconds };
+  await getStateStore().update(`rate:${phone}`, current => current && { ...current, notified: true }, RATE_WINDOW_MS);
+  logger.info(`🐢 Throttling: ${window.count} messages this minute`, { phone });
+  return { allowed: false, notify: true, retryAfterSeconds };
+}
+
+function throttleMessage(retryAfterSeconds) {
+  return `⏳ You're sending messages faster than I can keep up. Please wait ${retryAfterSeconds > 1 ? `${retryAfterSeconds} seconds` : 'a moment'} and try again.`;
+}
+
+// --- Gemini quotas ---
+
+// Whether another Gemini call is allowed for `phone` today.
+// Returns { allowed, message } with a user-facing explanation when it isn't.
+function checkGeminiQuota(phone) {
+  const data = store.load();
+  const total = countersFor(null, data);
+  const user = phone ? countersFor(phone, data) : emptyCounters();
+  const commandsStillWork = 'Commands like /reminders, /notes and /calendar still work, and the limit resets at midnight UTC.';
+
+  let message = null;
+  if ((QUOTAS.globalRequests && total.geminiRequests >= QUOTAS.globalRequests) ||
+      (QUOTAS.globalTokens && total.geminiTokens >= QUOTAS.globalTokens)) {
+    message = `🔋 I've reached my AI limit for today, so I can't answer free-form messages right now. ${commandsStillWork}`;
+  } else if ((QUOTAS.userRequests && user.geminiRequests >= QUOTAS.userRequests) ||
+      (QUOTAS.userTokens && user.geminiTokens >= QUOTAS.userTokens)) {
+    message = `🔋 You've used up today's AI allowance. ${commandsStillWork}`;
+  }
+
+  if (!message) return { allowed: true };
+  record(phone, counters => counters.quotaRejections++);
+  logger.info(`🔋 Gemini quota reached for ${phone ? 'user' : 'the bot'}`, { phone });
+  return { allowed: false, message };
+}
+
+// Record one Gemini call. `response` is the SDK's response object; token
+// counts come from its usageMetadata when present.
+function recordGeminiUsage(phone, response) {
+  const tokens = (response && response.usageMetadata && response.usageMetadata.totalTokenCount) || 0;
+  record(phone, counters => {
+    counters.geminiRequests++;
+    counters.geminiTokens += tokens;
+  });
+}
+
+// --- Actions ---
+
+function recordAction(phone, actionName, success) {
+  record(phone, counters => {
+    const entry = counters.actions[actionName] || (counters.actions[actionName] = { count: 0, failed: 0 });
+    entry.count++;
+    if (!success) entry.failed++;
+  });
+}
+
+// --- Reporting ---
+
+function addCounters(target, source) {
+  for (const key of ['messages', 'throttled', 'geminiRequests', 'geminiTokens', 'quotaRejections']) {
+    target[key] += source[key] || 0;
+  }
+  for (const [name, entry] of Object.entries(source.actions || {})) {
+    const sum = target.actions[name] || (target.actions[name] = { count: 0, failed: 0 });
+    sum.count += entry.count;
+    sum.failed += entry.failed;
+  }
+  return target;
+}
+
+// Consumption between two YYYY-MM-DD days (inclusive), in total, per user and
+// per action. `phone` narrows the report to one user.
+function getUsageReport({ from, to, phone } = {}) {
+  to = to || today();
+  from = from || to;
+  const data = store.load();
+  const report = { from, to, quotas: { ...QUOTAS, rateLimitPerMinute: RATE_LIMIT_PER_MINUTE }, total: emptyCounters(), users: {}, days: {} };
+
+  for (const day of Object.keys(data.days).sort()) {
+    if (day < from || day > to) continue;
+    const entries = Object.entries(data.days[day].users).filter(([number]) => !phone || number === phone);
+    const dayTotal = phone ? entries.reduce((sum, [, counters]) => addCounters(sum, counters), emptyCounters()) : data.days[day].total;
+    report.days[day] = addCounters(emptyCounters(), dayTotal);
+    addCounters(report.total, dayTotal);
+    for (const [number, counters] of entries) {
+      report.users[number] = addCounters(report.users[number] || emptyCounters(), counters);
+    }
+  }
+  report.actions = report.total.actions;
+  return report;
+}
+
+module.exports = {
+  checkRateLimit,
+  throttleMessage,
+  checkGeminiQuota,
+  recordGeminiUsage,
+  recordAction,
+  getUsageReport
+};
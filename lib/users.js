@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { getStateStore } = require('./stateStore');
+const { isValidTimeZone } = require('./dates');
+const { logger } = require('./logger');
+
+// Who may use the bot and how they like it. Users are keyed by their WhatsApp
+// number (digits only, as it arrives in webhooks) and have:
+//   role      - 'admin' (can invite, allow and block others) or 'user'
+//   status    - 'active' or 'blocked'
+//   settings  - { timezone, language, signature, homeLocation, actions }
+//               actions maps an action name to false when the user turned it off
+//
+// ACCESS_MODE=allowlist only answers registered numbers; new users join with an
+// invite code (/join CODE) or are added by an admin. ACCESS_MODE=open answers
+// everyone and registers numbers on first contact. The default is allowlist
+// when OWNER_NUMBERS is set, open otherwise. OWNER_NUMBERS are always admins.
+const OWNER_NUMBERS = (process.env.OWNER_NUMBERS || '').split(',').map(normalizePhone).filter(Boolean);
+const ACCESS_MODE = process.env.ACCESS_MODE || (OWNER_NUMBERS.length > 0 ? 'allowlist' : 'open');
+// Timezone for users who haven't picked one; unset means the server's own timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE;
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+// Unknown numbers hear "this is a private assistant" at most once per day
+const DENIED_REPLY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const ROLES = ['admin', 'user'];
+const STATUSES = ['active', 'blocked'];
+const DEFAULT_SETTINGS = { timezone: null, language: null, signature: null, homeLocation: null, actions: {} };
+
+const store = createJsonStore('users.json', { users: {}, invites: {} });
+
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+function load() {
+  const data = store.load();
+  // Owners are registered (and kept admin) on every start
+  let changed = false;
+  for (const phone of OWNER_NUMBERS) {
+    const user = data.users[phone];
+    if (!user || user.role !== 'admin' || user.status !== 'active') {
+      data.users[phone] = { ...newUser(phone), ...user, role: 'admin', status: 'active' };
+      changed = true;
+    }
+  }
+  if (changed) store.save();
+  return data;
+}
+
+function newUser(phone, { role = 'user', name = '' } = {}) {
+  return {
+    phone,
+    role,
+    status: 'active',
+    name,
+    settings: { ...DEFAULT_SETTINGS, actions: {} },
+    createdAt: new Date().toISOString(),
+    lastSeenAt: null
+  };
+}
+
+function getUser(phone) {
+  return load().users[normalizePhone(phone)] || null;
+}
+
+function listUsers() {
+  return Object.values(load().users).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function isAdmin(phone) {
+  const user = getUser(phone);
+  return Boolean(user && user.role === 'admin' && user.status === 'active');
+}
+
+// Create or update a user. Returns { success, message, user }.
+function saveUser(phone, { role, status, name, settings } = {}) {
+  phone = normalizePhone(phone);
+  if (!phone) return { success: false, message: 'A phone number is required.' };
+  if (role !== undefined && !ROLES.includes(role)) {
+    return { success: false, message: `role must be one of: ${ROLES.join(', ')}` };
+  }
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return { success: false, message: `status must be one of: ${STATUSES.join(', ')}` };
+  }
+  if (OWNER_NUMBERS.includes(phone) && ((role && role !== 'admin') || status === 'blocked')) {
+    return { success: false, message: `${phone} is an owner (OWNER_NUMBERS) and always stays an active admin.` };
+  }
+
+  const data = load();
+  const user = data.users[phone] || newUser(phone);
+  if (settings) {
+    const problem = checkSettings(settings);
+    if (problem) return { success: false, message: problem };
+    Object.assign(user.settings, settings);
+  }
+  if (role !== undefined) user.role = role;
+  if (status !== undefined) user.status = status;
+  if (name !== undefined) user.name = String(name);
+  data.users[phone] = user;
+  store.save();
+  return { success: true, message: `Saved ${user.name || phone} (${user.role}, ${user.status}).`, user };
+}
+
+function deleteUser(phone) {
+  phone = normalizePhone(phone);
+  if (OWNER_NUMBERS.includes(phone)) {
+    return { success: false, message: `${phone} is an owner (OWNER_NUMBERS) and can't be removed.` };
+  }
+  const data = load();
+  if (!data.users[phone]) return { success: false, message: `No user ${phone}.` };
+  delete data.users[phone];
+  store.save();
+  return { success: true, message: `Removed ${phone}.` };
+}
+
+// --- Access control ---
+
+// Decide whether a message from `phone` should be handled. Unknown numbers are
+// registered in open mode; in allowlist mode they only get through with /join.
+// Returns { allowed, user, reply } where reply (if any) should be sent back.
+async function checkAccess(phone, text = '') {
+  phone = normalizePhone(phone);
+  const data = load();
+  let user = data.users[phone];
+
+  const joinCode = parseJoinRequest(text);
+  if (joinCode) {
+    const result = redeemInvite(phone, joinCode);
+    return { allowed: false, user: result.user || user || null, reply: result.message };
+  }
+
+  if (!user && ACCESS_MODE === 'open') {
+    user = data.users[phone] = newUser(phone);
+    logger.info('👤 Registered new user', { phone });
+  }
+  if (!user || user.status !== 'active') {
+    logger.info(`🚫 Ignoring message from ${user ? 'blocked' : 'unknown'} number`, { phone });
+    return { allowed: false, user: user || null, reply: await deniedReply(phone, user) };
+  }
+
+  user.lastSeenAt = new Date().toISOString();
+  store.save();
+  return { allowed: true, user };
+}
+
+async function deniedReply(phone, user) {
+  // Blocked users are not told anything
+  if (user) return null;
+  const key = `access-denied:${phone}`;
+  const stateStore = getStateStore();
+  if (await stateStore.get(key)) return null;
+  await stateStore.set(key, true, DENIED_REPLY_INTERVAL_MS);
+  return 'Sorry, this is a private assistant. If you have an invite code, send /join <code>.';
+}
+
+function parseJoinRequest(text) {
+  const match = String(text || '').trim().match(/^\/join\s+([A-Za-z0-9-]+)$/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// --- Invites ---
+
+function createInvite({ role = 'user', createdBy = null, uses = 1, ttlDays = INVITE_TTL_DAYS } = {}) {
+  if (!ROLES.includes(role)) {
+    return { success: false, message: `role must be one of: ${ROLES.join(', ')}` };
+  }
+  const data = load();
+  // Readable over the phone: no 0/O or 1/I
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const code = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+  const invite = {
+    code,
+    role,
+    createdBy,
+    usesLeft: Math.max(parseInt(uses, 10) || 1, 1),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+  data.invites[code] = invite;
+  store.save();
+  return { success: true, message: `Invite code ${code} (${role}, ${invite.usesLeft} use${invite.usesLeft === 1 ? '' : 's'}, valid for ${ttlDays} days). New users join by sending: /join ${code}`, invite };
+}
+
+function listInvites() {
+  const now = new Date().toISOString();
+  return Object.values(load().invites).filter(invite => invite.expiresAt > now && invite.usesLeft > 0);
+}
+
+function deleteInvite(code) {
+  const data = load();
+  code = String(code).toUpperCase();
+  if (!data.invites[code]) return false;
+  delete data.invites[code];
+  store.save();
+  return true;
+}
+
+function redeemInvite(phone, code) {
+  const data = load();
+  const invite = data.invites[code];
+  if (!invite || invite.usesLeft <= 0 || invite.expiresAt <= new Date().toISOString()) {
+    return { success: false, message: "That invite code isn't valid (it may have expired or been used up)." };
+  }
+  const user = data.users[phone] || newUser(phone);
+  if (user.status === 'blocked') {
+    return { success: false, message: "That invite code isn't valid (it may have expired or been used up)." };
+  }
+  // An invite can upgrade a user to admin but never downgrade an admin
+  if (invite.role === 'admin') user.role = 'admin';
+  data.users[phone] = user;
+  invite.usesLeft--;
+  if (invite.usesLeft <= 0) delete data.invites[code];
+  store.save();
+  logger.info(`👤 User joined with an invite as ${user.role}`, { phone, invite: code });
+  return {
+    success: true,
+    user,
+    message: `Welcome! You now have access${user.role === 'admin' ? ' as an admin' : ''}. Send /settings to set your timezone and preferences.`
+  };
+}
+
+// --- Settings ---
+
+function checkSettings(settings) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return `Unknown setting "${key}". Settings are: ${Object.keys(DEFAULT_SETTINGS).join(', ')}`;
+    }
+    if (value === null) continue;
+    if (key === 'timezone' && !isValidTimeZone(value)) {
+      return `"${value}" is not a timezone I know. Use a name like Europe/Berlin or America/New_York.`;
+    }
+    if ((key === 'language' || key === 'signature') && typeof value !== 'string') {
+      return `${key} must be text`;
+    }
+    if (key === 'homeLocation' && (typeof value !== 'object' || typeof value.latitude !== 'number' || typeof value.longitude !== 'number')) {
+      return 'homeLocation must be an object with latitude and longitude';
+    }
+    if (key === 'actions' && (typeof value !== 'object' || Object.values(value).some(enabled => typeof enabled !== 'boolean'))) {
+      return 'actions must map action names to true or false';
+    }
+  }
+  return null;
+}
+
+// Settings with defaults filled in. Works for unregistered numbers too (test sessions, open mode).
+function getSettings(phone) {
+  const user = getUser(phone);
+  return { ...DEFAULT_SETTINGS, ...(user ? user.settings : {}), actions: { ...(user ? user.settings.actions : {}) } };
+}
+
+// Merge `changes` into a user's settings. A null value resets that setting.
+function updateSettings(phone, changes) {
+  phone = normalizePhone(phone);
+  const user = getUser(phone);
+  const settings = { ...changes };
+  if (settings.actions) settings.actions = { ...(user ? user.settings.actions : {}), ...settings.actions };
+  return saveUser(phone, { settings });
+}
+
+function getTimeZone(phone) {
+  return getSettings(phone).timezone || DEFAULT_TIMEZONE || undefined;
+}
+
+function isActionEnabled(phone, actionName) {
+  if (!phone) return true;
+  return getSettings(phone).actions[actionName] !== false;
+}
+
+module.exports = {
+  ACCESS_MODE,
+  normalizePhone,
+  getUser,
+  listUsers,
+  isAdmin,
+  saveUser,
+  deleteUser,
+  checkAccess,
+  parseJoinRequest,
+  createInvite,
+  listInvites,
+  deleteInvite,
+  redeemInvite,
+  getSettings,
+  updateSettings,
+  getTimeZone,
+  isActionEnabled
+};
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const users = require('./users');
+const { logger } = require('./logger');
+
+// Weather lookups behind a small provider interface:
+//   geocode(query)                 -> { name, country, latitude, longitude } or null
+//   forecast(place, units)         -> { current: { temperature, apparentTemperature, humidity, windSpeed, weatherCode },
+//                                       daily: [{ date, min, max, weatherCode, precipitationProbability }] }
+// Select the provider with WEATHER_PROVIDER=open-meteo|fixture (default: open-meteo).
+// The fixture provider answers from fixtures/weather.json and never touches the network.
+const WEATHER_PROVIDER = process.env.WEATHER_PROVIDER || 'open-meteo';
+const WEATHER_FIXTURES = process.env.WEATHER_FIXTURES || path.join(__dirname, '..', 'fixtures', 'weather.json');
+const CACHE_MINUTES = parseInt(process.env.WEATHER_CACHE_MINUTES, 10) || 15;
+const DEFAULT_UNITS = process.env.WEATHER_DEFAULT_UNITS === 'imperial' ? 'imperial' : 'metric';
+const FORECAST_DAYS = 3;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// WMO weather interpretation codes used by Open-Meteo
+const WEATHER_CODES = {
+  0: ['Clear sky', '☀️'],
+  1: ['Mainly clear', '🌤️'],
+  2: ['Partly cloudy', '⛅'],
+  3: ['Overcast', '☁️'],
+  45: ['Fog', '🌫️'],
+  48: ['Freezing fog', '🌫️'],
+  51: ['Light drizzle', '🌦️'],
+  53: ['Drizzle', '🌦️'],
+  55: ['Heavy drizzle', '🌧️'],
+  56: ['Freezing drizzle', '🌧️'],
+  57: ['Freezing drizzle', '🌧️'],
+  61: ['Light rain', '🌦️'],
+  63: ['Rain', '🌧️'],
+  65: ['Heavy rain', '🌧️'],
+  66: ['Freezing rain', '🌧️'],
+  67: ['Freezing rain', '🌧️'],
+  71: ['Light snow', '🌨️'],
+  73: ['Snow', '🌨️'],
+  75: ['Heavy snow', '❄️'],
+  77: ['Snow grains', '🌨️'],
+  80: ['Rain showers', '🌦️'],
+  81: ['Rain showers', '🌧️'],
+  82: ['Violent rain showers', '⛈️'],
+  85: ['Snow showers', '🌨️'],
+  86: ['Heavy snow showers', '❄️'],
+  95: ['Thunderstorm', '⛈️'],
+  96: ['Thunderstorm with hail', '⛈️'],
+  99: ['Thunderstorm with hail', '⛈️']
+};
+
+function describeCode(code) {
+  return WEATHER_CODES[code] || ['Unknown conditions', '🌡️'];
+}
+
+// "51.5, -0.12" (e.g. from a shared location) skips geocoding
+function parseCoordinates(query) {
+  const match = String(query).match(/(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)/);
+  if (!match) return null;
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { name: `${latitude}, ${longitude}`, country: '', latitude, longitude };
+}
+
+// "Paris, France" or "Portland, Oregon, US" -> { name: 'Paris', qualifiers: ['france'] }.
+// Geocoders search by name only, so the rest is used to pick among the results.
+function splitPlaceQuery(query) {
+  const [name, ...qualifiers] = String(query).split(',').map(part => part.trim()).filter(Boolean);
+  return { name: name || '', qualifiers: qualifiers.map(part => part.toLowerCase()) };
+}
+
+// Whether a geocoding result is in every region the user named (country, country code, state, county)
+function matchesQualifiers(result, qualifiers) {
+  const regions = [result.country, result.country_code, result.admin1, result.admin2]
+    .filter(Boolean)
+    .map(region => String(region).toLowerCase());
+  return qualifiers.every(qualifier => regions.includes(qualifier));
+}
+
+function createOpenMeteoProvider({
+  geocodingUrl = process.env.OPEN_METEO_GEOCODING_URL || 'https://geocoding-api.open-meteo.com/v1/search',
+  forecastUrl = process.env.OPEN_METEO_FORECAST_URL || 'https://api.open-meteo.com/v1/forecast'
+} = {}) {
+  async function geocode(query) {
+    const { name, qualifiers } = splitPlaceQuery(query);
+    if (!name) return null;
+    const response = await axios.get(geocodingUrl, {
+      params: { name, count: qualifiers.length > 0 ? 10 : 1, language: 'en', format: 'json' },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const results = response.data.results || [];
+    // The best-ranked result in the named region, else the best-ranked one
+    const result = results.find(candidate => matchesQualifiers(candidate, qualifiers)) || results[0];
+    if (!result) return null;
+    return { name: result.name, country: result.country_code || result.country || '', latitude: result.latitude, longitude: result.longitude };
+  }
+
+  async function forecast(place, units) {
+    const imperial = units === 'imperial';
+    const response = await axios.get(forecastUrl, {
+      params: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        current: 'temperature_2m,apparent_temperature,relative_humidity_2m,wind_speed_10m,weather_code',
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+        timezone: 'auto',
+        forecast_days: FORECAST_DAYS,
+        temperature_unit: imperial ? 'fahrenheit' : 'celsius',
+        wind_speed_unit: imperial ? 'mph' : 'kmh'
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    const { current, daily } = response.data;
+    return {
+      current: {
+        temperature: current.temperature_2m,
+        apparentTemperature: current.apparent_temperature,
+        humidity: current.relative_humidity_2m,
+        windSpeed: current.wind_speed_10m,
+        weatherCode: current.weather_code
+      },
+      daily: daily.time.map((date, index) => ({
+        date,
+        min: daily.temperature_2m_min[index],
+        max: daily.temperature_2m_max[index],
+        weatherCode: daily.weather_code[index],
+        precipitationProbability: daily.precipitation_probability_max ? daily.precipitation_probability_max[index] : null
+      }))
+    };
+  }
+
+  return { name: 'open-meteo', geocode, forecast };
+}
+
+// Offline provider for tests and local development. Fixture forecasts are
+// metric and converted on the fly when imperial units are asked for.
+function createFixtureProvider(fixturePath = WEATHER_FIXTURES) {
+  const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const toFahrenheit = celsius => Math.round((celsius * 9 / 5 + 32) * 10) / 10;
+  const toMph = kmh => Math.round(kmh / 1.609 * 10) / 10;
+
+  async function geocode(query) {
+    const place = fixtures.places[String(query).trim().toLowerCase()] || fixtures.places[splitPlaceQuery(query).name.toLowerCase()];
+    return place ? { ...place } : null;
+  }
+
+  async function forecast(place, units) {
+    const key = Object.keys(fixtures.places).find(name => fixtures.places[name].name === place.name);
+    const data = JSON.parse(JSON.stringify(fixtures.forecasts[key] || fixtures.forecasts.default));
+    if (units === 'imperial') {
+      data.current.temperature = toFahrenheit(data.current.temperature);
+      data.current.apparentTemperature = toFahrenheit(data.current.apparentTemperature);
+      data.current.windSpeed = toMph(data.current.windSpeed);
+      data.daily = data.daily.map(day => ({ ...day, min: toFahrenheit(day.min), max: toFahrenheit(day.max) }));
+    }
+    return data;
+  }
+
+  return { name: 'fixture', geocode, forecast };
+}
+
+function createWeatherProvider(type = WEATHER_PROVIDER) {
+  switch (type) {
+    case 'open-meteo':
+      return createOpenMeteoProvider();
+    case 'fixture':
+      return createFixtureProvider();
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${type}", expected open-meteo or fixture`);
+  }
+}
+
+let provider = null;
+
+function getWeatherProvider() {
+  if (!provider) provider = createWeatherProvider();
+  return provider;
+}
+
+// Swap the provider (tests use the fixture provider)
+function setWeatherProvider(newProvider) {
+  provider = newProvider;
+  cache.clear();
+}
+
+// Geocoding results and forecasts are cached per location so repeated
+// questions about the same place don't hit the API every time. Expired entries
+// are dropped on every write, and the oldest ones go first beyond CACHE_MAX_ENTRIES.
+const CACHE_MAX_ENTRIES = 1000;
+const cache = new Map();
+
+function pruneCache(now = Date.now()) {
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+  // Maps iterate in insertion order, so the first keys are the oldest
+  for (const key of cache.keys()) {
+    if (cache.size < CACHE_MAX_ENTRIES) break;
+    cache.delete(key);
+  }
+}
+
+async function cached(key, load) {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+  const value = await load();
+  pruneCache();
+  cache.delete(key);
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_MINUTES * 60000 });
+  return value;
+}
+
+async function resolvePlace(query) {
+  const coordinates = parseCoordinates(query);
+  if (coordinates) return coordinates;
+  const key = `geo:${String(query).trim().toLowerCase()}`;
+  return await cached(key, () => getWeatherProvider().geocode(query));
+}
+
+function formatTemperature(value, units) {
+  return `${Math.round(value)}°${units === 'imperial' ? 'F' : 'C'}`;
+}
+
+function formatWeather(place, data, units) {
+  const [conditions, icon] = describeCode(data.current.weatherCode);
+  const windUnit = units === 'imperial' ? 'mph' : 'km/h';
+  const lines = [
+    `${icon} Weather in ${place.name}${place.country ? `, ${place.country}` : ''}`,
+    `Now: ${formatTemperature(data.current.temperature, units)} (feels like ${formatTemperature(data.current.apparentTemperature, units)}), ${conditions}`,
+    `💧 Humidity ${Math.round(data.current.humidity)}% · 💨 Wind ${Math.round(data.current.windSpeed)} ${windUnit}`
+  ];
+  if (data.daily.length > 0) {
+    lines.push('', 'Forecast:');
+    for (const day of data.daily.slice(0, FORECAST_DAYS)) {
+      const [dayConditions, dayIcon] = describeCode(day.weatherCode);
+      const label = new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+      const rain = day.precipitationProbability ? `, ${day.precipitationProbability}% rain` : '';
+      lines.push(`${dayIcon} ${label}: ${formatTemperature(day.min, units)}–${formatTemperature(day.max, units)}, ${dayConditions}${rain}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// The saved home location (a user setting) is used when no place is given
+function getHomeLocation(fromNumber) {
+  return users.getSettings(fromNumber).homeLocation;
+}
+
+async function setHomeLocation(fromNumber, query) {
+  if (!query) {
+    return { success: false, message: 'Usage: /weather home <place>' };
+  }
+  let place;
+  try {
+    place = await resolvePlace(query);
+  } catch (error) {
+    logger.error('Error geocoding home location', { error: error.message });
+    return { success: false, message: "I couldn't look up that place right now. Please try again later." };
+  }
+  if (!place) {
+    return { success: false, message: `I couldn't find "${query}". Try a city name like "Berlin" or "Paris, France".` };
+  }
+  const saved = users.updateSettings(fromNumber, { homeLocation: { ...place, savedAt: new Date().toISOString() } });
+  if (!saved.success) return saved;
+  return { success: true, message: `Saved ${place.name}${place.country ? `, ${place.country}` : ''} as your home location. Send /weather any time for the forecast.` };
+}
+
+// Current conditions and a short forecast for `location`, or the user's home
+// location when none is given
+async function getWeather(fromNumber, { location, units } = {}) {
+  units = units === 'imperial' || units === 'metric' ? units : DEFAULT_UNITS;
+  const query = (location || '').trim();
+  let place = null;
+
+  try {
+    place = query ? await resolvePlace(query) : getHomeLocation(fromNumber);
+    if (!place) {
+      return {
+        success: false,
+        message: query
+          ? `I couldn't find "${query}". Try a city name like "Berlin" or "Paris, France".`
+          : 'Which place? Send /weather <place>, or save a home location with /settings home <place>.'
+      };
+    }
+    const key = `forecast:${place.latitude.toFixed(2)},${place.longitude.toFixed(2)}:${units}`;
+    const data = await cached(key, () => getWeatherProvider().forecast(place, units));
+    return { success: true, message: formatWeather(place, data, units), data: { place, ...data } };
+  } catch (error) {
+    logger.error('Error fetching weather', { error: error.message });
+    return { success: false, message: "I couldn't get the weather right now. Please try again later." };
+  }
+}
+
+module.exports = {
+  getWeather,
+  setHomeLocation,
+  getHomeLocation,
+  createOpenMeteoProvider,
+  createFixtureProvider,
+  createWeatherProvider,
+  setWeatherProvider,
+  formatWeather
+};
@@ -0,0 +1,449 @@
+const axios = require('axios');
+const { getStateStore } = require('./stateStore');
+const messageStatus = require('./messageStatus');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+// Outbound WhatsApp Cloud API client: text, interactive buttons and lists,
+// template messages, images/documents and reactions.
+//
+// Sends are retried with backoff when WhatsApp is rate limiting or having
+// trouble (network errors, HTTP 429/5xx and the transient error codes below).
+// Free-form messages are only allowed within 24 hours of the user's last
+// message; outside that window text is sent through the approved template
+// NOTIFICATION_TEMPLATE_NAME (a single {{1}} body parameter) when one is configured.
+// Long texts are split into several messages.
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID;
+// Base URL of the Graph API. Point it at /mock-graph on this server to test offline.
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v17.0';
+const WHATSAPP_MAX_ATTEMPTS = parseInt(process.env.WHATSAPP_MAX_ATTEMPTS, 10) || 3;
+const WHATSAPP_RETRY_BASE_DELAY_MS = parseInt(process.env.WHATSAPP_RETRY_BASE_DELAY_MS, 10) || 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// A Graph API call that hangs would otherwise hold up the user's queue forever
+const SEND_TIMEOUT_MS = parseInt(process.env.WHATSAPP_TIMEOUT_MS, 10) || 15000;
+const UPLOAD_TIMEOUT_MS = 30000;
+const NOTIFICATION_TEMPLATE_NAME = process.env.NOTIFICATION_TEMPLATE_NAME;
+const NOTIFICATION_TEMPLATE_LANGUAGE = process.env.NOTIFICATION_TEMPLATE_LANGUAGE || 'en_US';
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Outcome of the latest send, reported by the health check
+const health = { lastSuccessAt: null, lastFailure: null };
+
+// Limits imposed by the Cloud API for interactive messages
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+const MAX_INTERACTIVE_BODY = 1024;
+const MAX_TEXT_LENGTH = 4096;
+const MAX_TEMPLATE_PARAM = 1024;
+
+// Cloud API error codes we know how to treat:
+//   transient - worth retrying (rate limits, WhatsApp-side trouble)
+//   window    - the 24-hour customer service window is closed, only templates get through
+//   permanent - retrying won't help
+const ERROR_CODES = {
+  0: ['permanent', 'Authentication failed, check WHATSAPP_TOKEN'],
+  4: ['transient', 'Too many API calls'],
+  10: ['permanent', 'The app does not have the proper permissions or the access token is invalid/expired'],
+  100: ['permanent', 'Invalid parameter'],
+  190: ['permanent', 'The access token has expired'],
+  368: ['permanent', 'The account is temporarily blocked for policy violations'],
+  80007: ['transient', 'WhatsApp Business Account rate limit reached'],
+  130429: ['transient', 'Cloud API throughput limit reached'],
+  131000: ['transient', 'Something went wrong at WhatsApp'],
+  131008: ['permanent', 'A required parameter is missing'],
+  131009: ['permanent', 'A parameter value is not valid'],
+  131016: ['transient', 'WhatsApp is temporarily unavailable'],
+  131026: ['permanent', 'Message undeliverable, the number may not be on WhatsApp'],
+  131030: ['permanent', 'The recipient phone number is not in the allowed list. Add it to your test recipients in the Meta Developer Dashboard.'],
+  131031: ['permanent', 'The business account is locked'],
+  131047: ['window', 'More than 24 hours have passed since the user last wrote, only template messages can be sent'],
+  131051: ['permanent', 'Unsupported message type'],
+  131056: ['transient', 'Too many messages to this recipient in a short time'],
+  132000: ['permanent', 'The number of template parameters does not match the template'],
+  132001: ['permanent', 'The template does not exist in this language'],
+  133004: ['transient', 'WhatsApp server temporarily unavailable']
+};
+
+function isConfigured() {
+  return Boolean(WHATSAPP_TOKEN && WHATSAPP_PHONE_ID);
+}
+
+// Make sure phone number is in the correct format (should start with country code, no + symbol)
+function formatNumber(to) {
+  return to.startsWith('+') ? to.substring(1) : to;
+}
+
+function truncate(text, length) {
+  text = String(text || '');
+  return text.length > length ? text.slice(0, length - 1) + '…' : text;
+}
+
+// Work out what a failed request means: { kind, code, status, description }
+function classifyError(error) {
+  const status = error.response?.status;
+  const apiError = error.response?.data?.error || {};
+  const known = ERROR_CODES[apiError.code];
+  let kind;
+  if (known) {
+    kind = known[0];
+  } else if (!error.response || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    // No response at all: network trouble or a timeout (axios reports those as ECONNABORTED)
+    kind = 'transient';
+  } else {
+    kind = status === 429 || status >= 500 ? 'transient' : 'permanent';
+  }
+  return {
+    kind,
+    code: apiError.code,
+    status,
+    description: known ? known[1] : apiError.message || error.message,
+    details: apiError.error_data?.details
+  };
+}
+
+function logSendError(failure, attempt) {
+  const where = failure.status ? `HTTP ${failure.status}${failure.code !== undefined ? `, code ${failure.code}` : ''}` : 'no response';
+  const log = failure.kind === 'permanent' ? logger.error : logger.warn;
+  log(`Error sending WhatsApp message (attempt ${attempt}/${WHATSAPP_MAX_ATTEMPTS}, ${where}, ${failure.kind}): ${failure.description}`, {
+    code: failure.code,
+    details: failure.details
+  });
+}
+
+// Backoff before the next attempt; a Retry-After header wins when WhatsApp sends one
+function retryDelay(error, attempt) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+  const delay = Math.min(WHATSAPP_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// POST a message payload (everything except messaging_product/to) to the messages endpoint.
+// Returns { success: true, id, data } or { success: false, error, code, kind, transient, permanent }.
+async function postMessage(to, message) {
+  if (!isConfigured()) {
+    logger.warn('WhatsApp Business API not configured');
+    return;
+  }
+
+  const payload = {
+    messaging_product: 'whatsapp',
+    to: formatNumber(to),
+    ...message
+  };
+  logger.debug('Sending WhatsApp message', { payload });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.post(
+        `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/messages`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: SEND_TIMEOUT_MS
+        }
+      );
+      health.lastSuccessAt = new Date().toISOString();
+      const id = response.data?.messages?.[0]?.id;
+      logger.info(`Sent WhatsApp ${message.type} message`, { to: payload.to, messageId: id, attempt });
+      metrics.recordWhatsAppSend(message.type, true);
+      // Reactions don't get delivery statuses worth tracking
+      if (message.type !== 'reaction') {
+        messageStatus.recordSent(id, { to: payload.to, type: message.type, text: message.text?.body });
+      }
+      return { success: true, id, data: response.data };
+    } catch (error) {
+      const failure = classifyError(error);
+      logSendError(failure, attempt);
+      metrics.recordWhatsAppSend(message.type, false, failure.code ?? (failure.status ? `http_${failure.status}` : 'network'));
+      if (failure.kind !== 'transient' || attempt >= WHATSAPP_MAX_ATTEMPTS) {
+        const recordedError = { code: failure.code, title: failure.description, details: failure.details };
+        health.lastFailure = { at: new Date().toISOString(), kind: failure.kind, ...recordedError };
+        const record = message.type === 'reaction'
+          ? null
+          : messageStatus.recordFailed({ to: payload.to, type: message.type, text: message.text?.body, error: recordedError });
+        return {
+          success: false,
+          failedId: record && record.id,
+          error: error.response?.data || error.message,
+          code: failure.code,
+          kind: failure.kind,
+          description: failure.description,
+          // transient: worth trying again later (network trouble, rate limits, 5xx)
+          transient: failure.kind === 'transient',
+          permanent: failure.kind !== 'transient'
+        };
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelay(error, attempt)));
+    }
+  }
+}
+
+// Split text into pieces WhatsApp accepts, breaking between paragraphs,
+// lines, sentences or words where possible
+function splitMessage(text, limit = MAX_TEXT_LENGTH) {
+  let rest = String(text ?? '');
+  const chunks = [];
+  while (rest.length > limit) {
+    const head = rest.slice(0, limit);
+    let cut = 0;
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+      const index = head.lastIndexOf(separator);
+      // Don't settle for tiny pieces just to break at a nice spot
+      if (index > limit / 2) {
+        cut = index + separator.length;
+        break;
+      }
+    }
+    if (!cut) {
+      cut = limit;
+      // Never split a surrogate pair (emoji)
+      if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut--;
+    }
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest || chunks.length === 0) chunks.push(rest);
+  return chunks;
+}
+
+// Remember when a user last wrote to us; that opens a 24-hour window for free-form replies
+async function recordInboundMessage(from, at = Date.now()) {
+  // Kept a while longer than the window so "closed" can be told apart from "unknown"
+  await getStateStore().set(`window:${formatNumber(from)}`, at, 7 * SESSION_WINDOW_MS);
+}
+
+// true when we know the window is closed, false when it is open or unknown
+async function isSessionWindowClosed(to) {
+  const lastInboundAt = await getStateStore().get(`window:${formatNumber(to)}`);
+  return lastInboundAt !== null && Date.now() - lastInboundAt > SESSION_WINDOW_MS;
+}
+
+// Send text as the notification template (template parameters may not contain newlines)
+async function sendTemplateFallback(to, text) {
+  logger.info(`Sending through template ${NOTIFICATION_TEMPLATE_NAME}, outside the 24-hour window`, { to });
+  return await sendWhatsAppTemplate(to, NOTIFICATION_TEMPLATE_NAME, {
+    languageCode: NOTIFICATION_TEMPLATE_LANGUAGE,
+    bodyParams: [truncate(String(text).replace(/\s*\n+\s*/g, ' '), MAX_TEMPLATE_PARAM)]
+  });
+}
+
+// Send message via WhatsApp Business API. Texts over 4096 characters go out
+// as several messages; the result is that of the last one, or the first failure.
+async function sendWhatsAppMessage(to, message) {
+  if (NOTIFICATION_TEMPLATE_NAME && await isSessionWindowClosed(to)) {
+    return await sendTemplateFallback(to, message);
+  }
+  let result;
+  for (const [index, chunk] of splitMessage(message).entries()) {
+    result = await postMessage(to, { type: 'text', text: { body: chunk } });
+    if (result && !result.success) {
+      // Only the first piece can be rescued by the template, which carries the whole text
+      if (result.kind === 'window' && NOTIFICATION_TEMPLATE_NAME && index === 0) {
+        const fallback = await sendTemplateFallback(to, message);
+        if (fallback && fallback.success) messageStatus.markResent(result.failedId, fallback.id);
+        return fallback;
+      }
+      return result;
+    }
+  }
+  return result;
+}
+
+// Apply a delivery status from the webhook. A message that failed because the
+// window had closed is sent again through the template.
+async function handleStatusUpdate(status) {
+  const record = messageStatus.applyStatus(status);
+  if (!record) return null;
+  if (status.status === 'failed') {
+    logger.warn('WhatsApp message failed after it was accepted', { messageId: status.id, to: record.to, error: record.error });
+    const kind = (ERROR_CODES[record.error.code] || [])[0];
+    if (kind === 'window' && NOTIFICATION_TEMPLATE_NAME && record.text && !record.resentAs) {
+      const result = await sendTemplateFallback(record.to, record.text);
+      if (result && result.success) messageStatus.markResent(record.id, result.id);
+    }
+  }
+  return record;
+}
+
+// Send a failed text message again (from the admin dashboard). Returns
+// { success, message, id } or null when the message isn't known.
+async function resendMessage(id) {
+  const record = messageStatus.getMessageStatus(id);
+  if (!record) return null;
+  if (!record.text) {
+    return { success: false, message: `Only text messages can be resent, this one is a ${record.type} message.` };
+  }
+  const result = await sendWhatsAppMessage(record.to, record.text);
+  if (!result || !result.success) {
+    return { success: false, message: `Resending failed: ${result ? result.description : 'WhatsApp is not configured'}` };
+  }
+  messageStatus.markResent(id, result.id);
+  return { success: true, message: `Resent to ${record.to}.`, id: result.id };
+}
+
+function getHealth() {
+  return {
+    ready: isConfigured(),
+    mock: WHATSAPP_API_URL.includes('/mock-graph'),
+    templateFallback: NOTIFICATION_TEMPLATE_NAME || null,
+    ...health
+  };
+}
+
+// Up to three quick-reply buttons: [{ id, title }]. The tapped button's id
+// comes back as an `interactive.button_reply`.
+async function sendWhatsAppButtons(to, bodyText, buttons, { header, footer } = {}) {
+  const result = await postMessage(to, {
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      ...(header ? { header: { type: 'text', text: truncate(header, 60) } } : {}),
+      body: { text: truncate(bodyText, MAX_INTERACTIVE_BODY) },
+      ...(footer ? { footer: { text: truncate(footer, 60) } } : {}),
+      action: {
+        buttons: buttons.slice(0, MAX_BUTTONS).map(button => ({
+          type: 'reply',
+          reply: { id: button.id, title: truncate(button.title, MAX_BUTTON_TITLE) }
+        }))
+      }
+    }
+  });
+  // Fall back to plain text, prompts always say what to type as well
+  if (result && !result.success) {
+    return await sendWhatsAppMessage(to, bodyText);
+  }
+  return result;
+}
+
+// A list message: a button that opens up to ten rows, optionally grouped in
+// sections. `rows` may be given directly or as sections: [{ title, rows: [{ id, title, description }] }].
+async function sendWhatsAppList(to, bodyText, buttonText, sectionsOrRows, { header, footer } = {}) {
+  const sections = sectionsOrRows.length > 0 && sectionsOrRows[0].rows
+    ? sectionsOrRows
+    : [{ title: truncate(buttonText, MAX_ROW_TITLE), rows: sectionsOrRows }];
+  let remaining = MAX_LIST_ROWS;
+  const trimmedSections = sections.map(section => {
+    const rows = section.rows.slice(0, Math.max(remaining, 0));
+    remaining -= rows.length;
+    return {
+      title: truncate(section.title, MAX_ROW_TITLE),
+      rows: rows.map(row => ({
+        id: row.id,
+        title: truncate(row.title, MAX_ROW_TITLE),
+        ...(row.description ? { description: truncate(row.description, MAX_ROW_DESCRIPTION) } : {})
+      }))
+    };
+  }).filter(section => section.rows.length > 0);
+
+  const result = await postMessage(to, {
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      ...(header ? { header: { type: 'text', text: truncate(header, 60) } } : {}),
+      body: { text: truncate(bodyText, MAX_INTERACTIVE_BODY) },
+      ...(footer ? { footer: { text: truncate(footer, 60) } } : {}),
+      action: { button: truncate(buttonText, MAX_BUTTON_TITLE), sections: trimmedSections }
+    }
+  });
+  if (result && !result.success) {
+    const options = trimmedSections.flatMap(section => section.rows).map(row => `- ${row.title}`).join('\n');
+    return await sendWhatsAppMessage(to, `${bodyText}\n\n${options}`);
+  }
+  return result;
+}
+
+// Approved template message, the only kind allowed outside the 24-hour
+// customer service window. `bodyParams` fill the template's {{1}}, {{2}}, ...
+async function sendWhatsAppTemplate(to, templateName, { languageCode = 'en_US', bodyParams = [], components } = {}) {
+  return await postMessage(to, {
+    type: 'template',
+    template: {
+      name: templateName,
+      language: { code: languageCode },
+      components: components || (bodyParams.length > 0
+        ? [{ type: 'body', parameters: bodyParams.map(text => ({ type: 'text', text: String(text) })) }]
+        : [])
+    }
+  });
+}
+
+// media is { link } for a public URL or { id } for media uploaded with uploadWhatsAppMedia
+async function sendWhatsAppImage(to, mediaRef, caption) {
+  return await postMessage(to, { type: 'image', image: { ...mediaRef, ...(caption ? { caption } : {}) } });
+}
+
+async function sendWhatsAppDocument(to, mediaRef, { filename, caption } = {}) {
+  return await postMessage(to, {
+    type: 'document',
+    document: { ...mediaRef, ...(filename ? { filename } : {}), ...(caption ? { caption } : {}) }
+  });
+}
+
+// React to a received message; an empty emoji removes the reaction
+async function sendWhatsAppReaction(to, messageId, emoji) {
+  return await postMessage(to, { type: 'reaction', reaction: { message_id: messageId, emoji } });
+}
+
+// Upload a file so it can be sent by id instead of public link
+async function uploadWhatsAppMedia(buffer, mimeType, filename = 'file') {
+  if (!isConfigured()) {
+    logger.warn('WhatsApp Business API not configured');
+    return;
+  }
+  try {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+    const response = await axios.post(`${WHATSAPP_API_URL}/${WHATSAPP_PHONE_ID}/media`, form, {
+      headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` },
+      timeout: UPLOAD_TIMEOUT_MS
+    });
+    return { success: true, id: response.data.id };
+  } catch (error) {
+    const failure = classifyError(error);
+    logger.error(`Error uploading WhatsApp media: ${failure.description}`, { status: failure.status, code: failure.code });
+    return { success: false, error: error.response?.data || error.message };
+  }
+}
+
+// Send a reply that is either a plain string or an object describing a richer
+// message: { text, buttons } | { text, list: { button, rows|sections } } |
+// { text, document: { link|id, filename } } | { text, image: { link|id } }
+async function sendReply(to, reply) {
+  if (typeof reply === 'string') return await sendWhatsAppMessage(to, reply);
+  if (reply.buttons) return await sendWhatsAppButtons(to, reply.text, reply.buttons);
+  if (reply.list) return await sendWhatsAppList(to, reply.text, reply.list.button, reply.list.sections || reply.list.rows);
+  if (reply.document) return await sendWhatsAppDocument(to, reply.document, { filename: reply.document.filename, caption: reply.text });
+  if (reply.image) return await sendWhatsAppImage(to, reply.image, reply.text);
+  return await sendWhatsAppMessage(to, reply.text);
+}
+
+module.exports = {
+  isConfigured,
+  classifyError,
+  splitMessage,
+  recordInboundMessage,
+  isSessionWindowClosed,
+  handleStatusUpdate,
+  resendMessage,
+  getHealth,
+  sendWhatsAppMessage,
+  sendWhatsAppButtons,
+  sendWhatsAppList,
+  sendWhatsAppTemplate,
+  sendWhatsAppImage,
+  sendWhatsAppDocument,
+  sendWhatsAppReaction,
+  uploadWhatsAppMedia,
+  sendReply,
+  WHATSAPP_API_URL
+};
@@ -0,0 +1,270 @@
+// Admin dashboard. Everything comes from the /api endpoints, authenticated
+// with the ADMIN_API_KEY kept in this tab's sessionStorage.
+const KEY_STORAGE = 'bot-admin-api-key';
+
+const views = {
+  health: renderHealth,
+  users: renderUsers,
+  conversations: renderConversations,
+  actions: renderActions,
+  messages: renderMessages,
+  deliveries: renderDeliveries,
+  flows: renderFlows,
+  queue: renderQueue
+};
+
+async function api(path, { method = 'GET' } = {}) {
+  const response = await fetch(path, { method, headers: { 'x-api-key': sessionStorage.getItem(KEY_STORAGE) || '' } });
+  if (response.status === 401) {
+    sessionStorage.removeItem(KEY_STORAGE);
+    showLogin();
+    throw new Error('The API key was not accepted.');
+  }
+  const body = await response.json();
+  // The health check answers 503 with a normal body when something isn't ready
+  if (!response.ok && path !== '/') throw new Error(body.error || body.message || `HTTP ${response.status}`);
+  return body;
+}
+
+// Build an element; children may be strings (always inserted as text) or elements
+function el(tag, props = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(props)) {
+    if (key === 'onclick') node.addEventListener('click', value);
+    else if (key === 'className') node.className = value;
+    else node.setAttribute(key, value);
+  }
+  for (const child of [].concat(children)) {
+    if (child === null || child === undefined) continue;
+    node.append(typeof child === 'string' || typeof child === 'number' ? String(child) : child);
+  }
+  return node;
+}
+
+function json(value) {
+  return el('pre', {}, JSON.stringify(value, null, 2));
+}
+
+function time(value) {
+  return value ? new Date(value).toLocaleString() : '';
+}
+
+function outcome(success) {
+  return el('span', { className: success ? 'ok' : 'bad' }, success ? '✓' : '✗');
+}
+
+// columns: [[heading, row => cell]]
+function table(columns, rows, emptyText = 'Nothing here.') {
+  if (rows.length === 0) return el('p', { className: 'muted' }, emptyText);
+  return el('table', {}, [
+    el('thead', {}, el('tr', {}, columns.map(([heading]) => el('th', {}, heading)))),
+    el('tbody', {}, rows.map(row => el('tr', {}, columns.map(([, cell]) => el('td', {}, cell(row))))))
+  ]);
+}
+
+// reload: show the current view again afterwards (off for buttons that navigate)
+function button(label, action, { reload = true } = {}) {
+  return el('button', {
+    onclick: async () => {
+      try {
+        const result = await action();
+        if (result && result.message) alert(result.message);
+        if (reload) await show(currentView);
+      } catch (error) {
+        showError(error);
+      }
+    }
+  }, label);
+}
+
+let currentView = 'health';
+
+async function show(name) {
+  currentView = name;
+  document.querySelectorAll('nav button').forEach(navButton => navButton.classList.toggle('active', navButton.dataset.view === name));
+  showError(null);
+  try {
+    const content = await views[name]();
+    document.getElementById('view').replaceChildren(content);
+  } catch (error) {
+    showError(error);
+  }
+}
+
+function showError(error) {
+  document.getElementById('error').textContent = error ? error.message : '';
+}
+
+async function renderHealth() {
+  const health = await api('/');
+  const checks = health.checks;
+  return el('div', {}, [
+    el('h2', {}, [outcome(health.status === 'ok'), ` ${health.status}`]),
+    el('p', { className: 'muted' }, `Up for ${Math.round(health.uptimeSeconds / 60)} minutes, state store: ${checks.stateStore.backend}`),
+    table([
+      ['Component', row => row.name],
+      ['Ready', row => row.ready === undefined ? '' : outcome(row.ready)],
+      ['Details', row => json(row.details)]
+    ], [
+      { name: 'Gemini', ready: checks.gemini.ready, details: checks.gemini },
+      { name: 'WhatsApp', ready: checks.whatsapp.ready, details: checks.whatsapp },
+      { name: 'Integrations', ready: checks.integrations.deadLetters === 0, details: checks.integrations },
+      { name: 'Email', ready: checks.email.configured, details: checks.email },
+      { name: 'Queue', ready: checks.queue.failed === 0, details: checks.queue }
+    ])
+  ]);
+}
+
+async function renderUsers() {
+  const { users } = await api('/api/users');
+  return table([
+    ['Number', user => user.phone],
+    ['Name', user => user.name],
+    ['Role', user => user.role],
+    ['Status', user => user.status],
+    ['Timezone', user => user.settings.timezone || ''],
+    ['Last seen', user => time(user.lastSeenAt)],
+    ['', user => button('Conversation', () => showConversation(user.phone), { reload: false })]
+  ], users, 'No users yet.');
+}
+
+async function renderConversations() {
+  const { conversations } = await api('/api/conversations');
+  return table([
+    ['Number', conversation => conversation.sessionId],
+    ['Name', conversation => conversation.name || ''],
+    ['Turns', conversation => conversation.turns],
+    ['Last message', conversation => conversation.lastMessage || ''],
+    ['Updated', conversation => time(conversation.updatedAt)],
+    ['', conversation => button('Open', () => showConversation(conversation.sessionId), { reload: false })]
+  ], conversations, 'No recent conversations.');
+}
+
+async function showConversation(phone) {
+  const [conversation, recentActions] = await Promise.all([
+    api(`/api/conversations/${encodeURIComponent(phone)}`).catch(() => null),
+    api(`/api/actions?phone=${encodeURIComponent(phone)}&limit=20`)
+  ]);
+  const turns = conversation ? conversation.turns : [];
+  document.getElementById('view').replaceChildren(el('div', {}, [
+    el('h2', {}, `Conversation with ${phone}`),
+    conversation && conversation.summary ? el('p', { className: 'muted' }, `Earlier: ${conversation.summary}`) : null,
+    turns.length === 0 ? el('p', { className: 'muted' }, 'No recent messages.') : null,
+    ...turns.map(turn => el('div', { className: `turn ${turn.role}` }, [
+      turn.text,
+      turn.action && turn.action !== 'none' ? el('div', { className: 'muted' }, `→ ${turn.action}`) : null
+    ])),
+    el('h3', {}, 'Recent actions'),
+    actionsTable(recentActions.actions)
+  ]));
+}
+
+function actionsTable(runs) {
+  return table([
+    ['When', run => time(run.at)],
+    ['Number', run => run.fromNumber || ''],
+    ['Action', run => `${run.action}${run.forwarded ? ' (webhook)' : ''}`],
+    ['Params', run => json(run.params)],
+    ['Result', run => [outcome(run.success), ` ${run.message || ''}`]],
+    ['Took', run => `${run.durationMs} ms`]
+  ], runs, 'No actions have run yet.');
+}
+
+async function renderActions() {
+  const { actions } = await api('/api/actions?limit=200');
+  return actionsTable(actions);
+}
+
+async function renderMessages() {
+  const { messages } = await api('/api/messages?status=failed');
+  return table([
+    ['When', message => time(message.failedAt || message.updatedAt)],
+    ['To', message => message.to],
+    ['Type', message => message.type],
+    ['Text', message => message.text || ''],
+    ['Error', message => message.error ? `${message.error.code || ''} ${message.error.title || ''}` : ''],
+    ['', message => message.resentAs
+      ? el('span', { className: 'muted' }, 'resent')
+      : message.text ? button('Resend', () => api(`/api/messages/${encodeURIComponent(message.id)}/resend`, { method: 'POST' })) : '']
+  ], messages, 'No failed messages.');
+}
+
+async function renderDeliveries() {
+  const { deadLetters } = await api('/api/integrations/dead-letters');
+  return table([
+    ['Failed', deadLetter => time(deadLetter.failedAt)],
+    ['Action', deadLetter => deadLetter.action],
+    ['URL', deadLetter => deadLetter.url],
+    ['Attempts', deadLetter => deadLetter.attempts],
+    ['Error', deadLetter => deadLetter.lastError],
+    ['Params', deadLetter => json(deadLetter.payload.params)],
+    ['', deadLetter => [
+      button('Retry', () => api(`/api/integrations/dead-letters/${encodeURIComponent(deadLetter.id)}/retry`, { method: 'POST' })),
+      button('Delete', () => api(`/api/integrations/dead-letters/${encodeURIComponent(deadLetter.id)}`, { method: 'DELETE' }))
+    ]]
+  ], deadLetters, 'No failed webhook deliveries.');
+}
+
+async function renderFlows() {
+  const { flows } = await api('/api/flows');
+  return table([
+    ['Number', flow => flow.fromNumber],
+    ['Flow', flow => flow.flow],
+    ['Step', flow => flow.step],
+    ['Collected', flow => json(flow.data)],
+    ['Last activity', flow => time(flow.updatedAt)],
+    ['', flow => button('Cancel', () => {
+      if (!confirm(`Cancel the ${flow.flow} flow for ${flow.fromNumber} and tell them?`)) return null;
+      return api(`/api/flows/${encodeURIComponent(flow.fromNumber)}?notify=true`, { method: 'DELETE' });
+    })]
+  ], flows, 'No flows in progress.');
+}
+
+async function renderQueue() {
+  const { stats, failed } = await api('/api/queue');
+  return el('div', {}, [
+    el('p', {}, `${stats.depth} queued (${stats.running} running, ${stats.waitingForRetry} waiting for a retry), ${stats.failed} failed`),
+    table([
+      ['Failed', job => time(job.failedAt)],
+      ['Number', job => job.key],
+      ['Attempts', job => job.attempts],
+      ['Error', job => job.lastError || ''],
+      ['Message', job => (job.payload.text && job.payload.text.body) || job.payload.type],
+      ['', job => [
+        button('Retry', () => api(`/api/queue/failed/${encodeURIComponent(job.id)}/retry`, { method: 'POST' })),
+        button('Delete', () => api(`/api/queue/failed/${encodeURIComponent(job.id)}`, { method: 'DELETE' }))
+      ]]
+    ], failed, 'No failed jobs.')
+  ]);
+}
+
+function showLogin() {
+  document.getElementById('dashboard').hidden = true;
+  document.getElementById('logout').hidden = true;
+  document.getElementById('login').hidden = false;
+}
+
+function showDashboard() {
+  document.getElementById('login').hidden = true;
+  document.getElementById('dashboard').hidden = false;
+  document.getElementById('logout').hidden = false;
+  show(currentView);
+}
+
+document.getElementById('login').addEventListener('submit', event => {
+  event.preventDefault();
+  sessionStorage.setItem(KEY_STORAGE, document.getElementById('api-key').value.trim());
+  showDashboard();
+});
+
+document.getElementById('logout').addEventListener('click', () => {
+  sessionStorage.removeItem(KEY_STORAGE);
+  showLogin();
+});
+
+document.querySelectorAll('nav button').forEach(navButton => {
+  navButton.addEventListener('click', () => show(navButton.dataset.view));
+});
+
+if (sessionStorage.getItem(KEY_STORAGE) !== null) showDashboard();
+else showLogin();
@@ -1,43 +1,152 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const fs = require('fs');
+const path = require('path');
 const dotenv = require('dotenv');
 
-// Load environment variables from .env file
+// Load environment variables from .env file (before the lib modules read their config)
 dotenv.config();
 
+const reminders = require('./lib/reminders');
+const notes = require('./lib/notes');
+const calendar = require('./lib/calendar');
+const weather = require('./lib/weather');
+const search = require('./lib/search');
+const memory = require('./lib/memory');
+const actions = require('./lib/actions');
+const flows = require('./lib/flows');
+const pendingActions = require('./lib/pending');
+const media = require('./lib/media');
+const users = require('./lib/users');
+const usage = require('./lib/usage');
+const whatsapp = require('./lib/whatsapp');
+const messageStatus = require('./lib/messageStatus');
+const actionLog = require('./lib/actionLog');
+const metrics = require('./lib/metrics');
+const { sendWhatsAppMessage, sendWhatsAppButtons, sendWhatsAppList, sendWhatsAppReaction, sendReply } = whatsapp;
+const { createMockGraphRouter } = require('./lib/mockGraph');
+const { createMockWebhookRouter } = require('./lib/mockWebhooks');
+const { createMockGeminiRouter } = require('./lib/mockGemini');
+const { createLlmClient } = require('./lib/llm');
+const integrations = require('./lib/integrations');
+const { getEmails, isConfigured: isEmailConfigured } = require('./lib/email');
+const { verifyWebhookSignature } = require('./lib/signature');
+const idempotency = require('./lib/idempotency');
+const { getStateStore, startStateSweeper } = require('./lib/stateStore');
+const { logger, newCorrelationId, requestContext } = require('./lib/logger');
+const { createJobQueue, isTransientError } = require('./lib/queue');
+const { isValidDate, toLocalDateString, toLocalTimeString, addDays } = require('./lib/dates');
+
 const app = express();
 const PORT = process.env.PORT || 3001; // Changed to 3001 to avoid conflicts
 
 // Environment variables
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID;
 const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN || 'your_verify_token';
+// App secret used to verify X-Hub-Signature-256 on incoming webhooks
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// ENABLE_MOCKS=1 mounts the fake Graph API, the webhook receiver and the /test-* endpoints for local testing.
+// They can inject and read messages, so they are off unless asked for, and never in production.
+const ENABLE_MOCKS = process.env.ENABLE_MOCKS === '1' && !IS_PRODUCTION;
+// Appends every webhook body as one JSON line, for replaying locally with npm run replay.
+// The bodies contain phone numbers and message texts, so only turn this on while debugging.
+const WEBHOOK_CAPTURE_FILE = process.env.WEBHOOK_CAPTURE_FILE;
+// How many times to re-ask Gemini when its JSON or action params are invalid
+const GEMINI_REPAIR_ATTEMPTS = parseInt(process.env.GEMINI_REPAIR_ATTEMPTS, 10) || 2;
+
+// Live, recording, replaying or scripted Gemini (GEMINI_CLIENT, see lib/llm.js).
+// genAI is null in rules mode, where the actions' rule-based answers are used instead.
+const { client: genAI, mode: geminiMode } = createLlmClient();
+
+// Outcome of the latest Gemini call, reported by the health check
+const geminiHealth = { lastSuccessAt: null, lastFailure: null };
 
-// For local testing, we'll create a mock Gemini client if no API key is provided
-let genAI;
-if (GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-} else {
-  console.warn('⚠️ No GEMINI_API_KEY provided. Using mock responses for local testing.');
+// Search results and opened pages are summarized by Gemini when it's available
+if (genAI) {
+  search.setSummarizer(summarizeText);
 }
 
+// Shared store for conversation flows and pending confirmations (STATE_STORE=memory|file|redis)
+const stateStore = getStateStore();
+
+// Inbound messages are queued (data/message-queue.json) and processed in the
+// background, one at a time per user. Transient Gemini/WhatsApp failures are retried.
+const messageQueue = createJobQueue('message-queue.json', {
+  // The lock keeps a user's messages in order across instances sharing a redis state store
+  handler: async job => {
+    // A retry after an action already ran only delivers the reply that failed (see sendAfterAction)
+    await stateStore.withLock(`user:${job.key}`, () => (job.actionRan ? resendUnsentReply(job) : processInboundMessage(job.payload, job)));
+    // End-to-end: from the webhook until the message was handled, retries included
+    metrics.recordReplyTime((Date.now() - new Date(job.createdAt).getTime()) / 1000);
+  },
+  onFailed: async job => {
+    // The action did run, only telling the user about it failed
+    if (job.actionRan) return;
+    await sendWhatsAppMessage(job.key, "Sorry, I couldn't process your message right now. Please try again in a few minutes.");
+  }
+});
+
+metrics.registerGauge('queue_depth', 'Inbound messages waiting or being processed', () => messageQueue.getStats().depth);
+metrics.registerGauge('queue_failed_jobs', 'Inbound messages that failed after all retries', () => messageQueue.getStats().failed);
+metrics.registerGauge('integration_dead_letters', 'Outbound webhook deliveries in the dead-letter queue', () => integrations.listDeadLetters().length);
+
+// Register integrations from the actions/ directory and guided flows from flows/
+actions.loadActionsFromDirectory();
+flows.loadFlowsFromDirectory();
+
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '20mb' }));
+// Every request gets a correlation id (X-Request-Id) that shows up in its log lines
+app.use(requestContext());
+// Keep the raw body around, webhook signatures are computed over the exact bytes Meta sent
+app.use(express.json({
+  limit: '20mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Admin dashboard (static page; its data comes from the /api endpoints below).
+// Like the API it is only served once ADMIN_API_KEY is set.
+app.use('/admin', (req, res, next) => {
+  if (!ADMIN_API_KEY) return res.status(503).send('The admin dashboard is disabled until ADMIN_API_KEY is set');
+  next();
+}, express.static(path.join(__dirname, 'public', 'admin')));
+
+// Offline stand-in for the WhatsApp Graph API (media downloads and outbound messages)
+if (ENABLE_MOCKS) {
+  app.use('/mock-graph', createMockGraphRouter());
+  app.use('/mock-webhooks', createMockWebhookRouter());
+}
+// GEMINI_CLIENT=scripted is an opt-in of its own (and refused in production)
+if (geminiMode === 'scripted') app.use('/mock-gemini', createMockGeminiRouter(genAI));
 
-// Health check endpoint
+// Health check: 200 when Gemini and WhatsApp are both usable, 503 otherwise
+// (rules mode, missing credentials). Integrations and email are reported but
+// don't affect readiness.
 app.get('/', (req, res) => {
-  res.json({
-    status: 'WhatsApp Gemini Bot is running',
+  const whatsappHealth = whatsapp.getHealth();
+  const deadLetters = integrations.listDeadLetters().length;
+  const queue = messageQueue.getStats();
+  const checks = {
+    gemini: { ready: Boolean(genAI), mode: geminiMode, ...geminiHealth },
+    whatsapp: whatsappHealth,
+    integrations: { targets: integrations.listTargets(), deadLetters },
+    email: { configured: isEmailConfigured() },
+    queue: { depth: queue.depth, waitingForRetry: queue.waitingForRetry, failed: queue.failed },
+    stateStore: { backend: stateStore.backend }
+  };
+  const ready = checks.gemini.ready && checks.whatsapp.ready;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
-    configuration: {
-      whatsappBusiness: WHATSAPP_TOKEN ? 'Active' : 'Inactive',
-      geminiAI: 'Active'
-    }
+    uptimeSeconds: Math.round(process.uptime()),
+    checks
   });
 });
 
@@ -54,315 +163,604 @@ app.get('/webhook', (req, res) => {
 });
 
 // Main webhook handler for WhatsApp
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSignature({ secret: WHATSAPP_APP_SECRET, requireSignature: IS_PRODUCTION }), async (req, res) => {
   try {
-    console.log('Received webhook call:', JSON.stringify(req.body, null, 2));
+    logger.debug('Received webhook call', { payload: req.body });
+    if (WEBHOOK_CAPTURE_FILE && req.rawBody) {
+      fs.appendFile(WEBHOOK_CAPTURE_FILE, `${req.rawBody.toString('utf8').replace(/\n/g, ' ')}\n`, error => {
+        if (error) logger.error('Could not capture webhook payload', { file: WEBHOOK_CAPTURE_FILE, error: error.message });
+      });
+    }
     const body = req.body;
     
-    // Always return 200 immediately to acknowledge receipt
-    res.status(200).send('EVENT_RECEIVED');
-    
     // Check if this is a verification request
     if (req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === WEBHOOK_VERIFY_TOKEN) {
-      console.log('Webhook verified!');
+      logger.info('Webhook verified!');
       return;
     }
     
     if (body.object === 'whatsapp_business_account') {
-      console.log('Processing WhatsApp Business Account webhook');
-      
       if (!body.entry || body.entry.length === 0) {
-        console.log('No entries in webhook, ignoring');
+        logger.debug('No entries in webhook, ignoring');
         return;
       }
       
       for (const entry of body.entry) {
         if (!entry.changes || entry.changes.length === 0) {
-          console.log('No changes in entry, ignoring');
+          logger.debug('No changes in entry, ignoring');
           continue;
         }
         
         for (const change of entry.changes) {
           if (change.field === 'messages') {
-            console.log('Processing messages field in webhook');
-            
             const value = change.value;
+            // Delivery receipts for messages we sent (sent/delivered/read/failed)
+            for (const status of (value && value.statuses) || []) {
+              whatsapp.handleStatusUpdate(status).catch(error => {
+                logger.error(`Error handling ${status.status} status`, { messageId: status.id, error: error.message });
+              });
+            }
+
             if (!value || !value.messages || value.messages.length === 0) {
-              console.log('No messages in value, ignoring');
               continue;
             }
-            
-            console.log(`Found ${value.messages.length} message(s) to process`);
-            
+
             for (const message of value.messages) {
-              if (message.type === 'text') {
-                console.log('Processing text message:', message.text.body);
-                const userMessage = message.text.body;
-                const fromNumber = message.from;
-                
-                console.log(`Message from ${fromNumber}: ${userMessage}`);
-                
-                try {
-                  // First check if user is in the middle of an active conversation flow
-                  if (userConversationStates[fromNumber]) {
-                    console.log(`User ${fromNumber} is in an active conversation flow: ${userConversationStates[fromNumber].flow}`);
-                    
-                    // Process the ongoing conversation flow
-                    const conversationState = userConversationStates[fromNumber];
-                    const actionResult = await continueEmailFlow(userMessage, fromNumber, conversationState);
-                    
-                    // Send response based on the conversation flow step
-                    let responseMessage = actionResult.message;
-                    
-                    await sendWhatsAppMessage(fromNumber, responseMessage);
-                    console.log('Conversation flow response sent successfully!');
-                  }
-                  // Check if this is a command-based message (starts with /)
-                  else if (userMessage && userMessage.startsWith('/')) {
-                    console.log('Command detected:', userMessage);
-                    
-                    // Execute the command directly
-                    const actionResult = await handleCommandBasedIntegration(userMessage, fromNumber);
-                    
-                    // Send response based on the command execution
-                    let responseMessage;
-                    if (actionResult.success) {
-                      responseMessage = `✅ Command executed successfully: ${actionResult.message}`;
-                    } else {
-                      responseMessage = `❌ Command failed: ${actionResult.message}`;
-                    }
-                    
-                    await sendWhatsAppMessage(fromNumber, responseMessage);
-                    console.log('Command response sent successfully!');
-                  } else {
-                    // For regular messages, get AI response
-                    console.log('Getting Gemini response...');
-                    const aiResponse = await getGeminiResponse(userMessage);
-                    console.log('Gemini response:', JSON.stringify(aiResponse));
-                    
-                    // Send the reply
-                    console.log(`Sending reply to ${fromNumber}: ${aiResponse.reply}`);
-                    await sendWhatsAppMessage(fromNumber, aiResponse.reply);
-                    console.log('Reply sent successfully!');
-                    
-                    // Execute any action if AI detected one
-                    if (aiResponse.action && aiResponse.action !== 'none') {
-                      console.log(`Processing action: ${aiResponse.action}`, aiResponse.params);
-                      const actionResult = await executeAction(aiResponse.action, aiResponse.params, userMessage, fromNumber);
-                      if (actionResult.success && actionResult.message !== 'No action needed') {
-                        // Send a follow-up message about the action
-                        await sendWhatsAppMessage(fromNumber, `✅ ${actionResult.message}`);
-                      }
-                    }
-                  }
-                } catch (messageError) {
-                  console.error('Error processing message:', messageError);
-                  try {
-                    await sendWhatsAppMessage(fromNumber, "Sorry, I encountered an error processing your message. Please try again.");
-                  } catch (sendError) {
-                    console.error('Error sending error message:', sendError);
-                  }
-                }
+              // WhatsApp retries deliveries it thinks failed; only handle each message once
+              if (!idempotency.markProcessed(message.id)) {
+                logger.info('Skipping duplicate delivery', { messageId: message.id });
+                continue;
+              }
+
+              metrics.recordInboundMessage(message.type);
+
+              // Opens the 24-hour window for free-form replies
+              await whatsapp.recordInboundMessage(message.from, Number(message.timestamp) * 1000 || Date.now());
+
+              if (SUPPORTED_MESSAGE_TYPES.includes(message.type)) {
+                if (!await admitInboundMessage(message)) continue;
+                // Persisted before we acknowledge; the queue processes each user's messages in order.
+                // The correlation id follows the message through Gemini, actions and replies.
+                const correlationId = newCorrelationId();
+                messageQueue.enqueue(message.from, message, { correlationId });
+                logger.info(`Queued ${message.type} message`, { correlationId, messageId: message.id, from: message.from });
               } else {
-                console.log(`Ignoring non-text message of type: ${message.type}`);
+                logger.info(`Ignoring unsupported message of type: ${message.type}`, { messageId: message.id });
               }
             }
           }
         }
       }
     } else {
-      console.log(`Ignoring webhook for non-WhatsApp object: ${body.object}`);
+      logger.info(`Ignoring webhook for non-WhatsApp object: ${body.object}`);
     }
   } catch (error) {
-    console.error('Webhook error:', error);
-    // We already sent a 200 response, so no need to respond again
+    logger.error('Webhook error', { error });
+  } finally {
+    // Always acknowledge, otherwise Meta keeps redelivering the same payload
+    if (!res.headersSent) res.status(200).send('EVENT_RECEIVED');
   }
 });
 
-// Gemini AI response function (returns reply AND action/params for integrations)
-async function getGeminiResponse(userMessage) {
-  // If no API key is provided, return mock responses for testing
-  if (!GEMINI_API_KEY) {
-    console.log('Using mock response for message:', userMessage);
-    
-    // Simple pattern matching for testing automation features
-    if (userMessage.toLowerCase().includes('reminder')) {
-      return {
-        reply: "I've set a reminder for you as requested.",
-        action: "reminder.add",
-        params: {
-          text: "Example reminder",
-          date: new Date().toISOString().split('T')[0],
-          time: "12:00",
-          priority: "normal"
-        }
-      };
-    } else if (userMessage.toLowerCase().includes('email')) {
-      return {
-        reply: "I'll draft that email for you right away.",
-        action: "email.send",
-        params: {
-          to: "recipient@example.com",
-          subject: "Example Subject",
-          body: "This is a test email body.",
-          cc: "",
-          bcc: ""
-        }
-      };
-    } else if (userMessage.toLowerCase().includes('weather')) {
-      return {
-        reply: "Here's the current weather information.",
-        action: "weather.get",
-        params: {
-          location: "New York",
-          units: "imperial"
-        }
-      };
-    } else if (userMessage.toLowerCase().includes('note')) {
-      return {
-        reply: "I've created a note with that information.",
-        action: "notes.create",
-        params: {
-          title: "Example Note",
-          content: "This is the content of your note.",
-          tags: ["test", "example"]
-        }
-      };
-    } else if (userMessage.toLowerCase().includes('calendar') || userMessage.toLowerCase().includes('schedule') || userMessage.toLowerCase().includes('meeting')) {
-      return {
-        reply: "I've added that event to your calendar.",
-        action: "calendar.add",
-        params: {
-          title: "Test Meeting",
-          date: new Date().toISOString().split('T')[0],
-          time: "15:00",
-          description: "This is a test calendar event."
-        }
-      };
-    } else if (userMessage.toLowerCase().includes('search')) {
-      return {
-        reply: "Here are some search results for you.",
-        action: "search.web",
-        params: {
-          query: userMessage.replace(/search/gi, "").trim() || "example search",
-          limit: 5
-        }
-      };
+// Turn a { message, buttons | list } result into something sendReply understands
+function toReply(result, text = result.message) {
+  if (result.buttons) return { text, buttons: result.buttons };
+  if (result.list) return { text, list: result.list };
+  return text;
+}
+
+// Whether a message gets queued at all. Runs in the webhook as messages
+// arrive, so floods are counted at the rate they come in, strangers never reach
+// the queue file and a retried job isn't counted twice. Replies (invite hints,
+// "slow down") go out without holding up the acknowledgement.
+async function admitInboundMessage(message) {
+  const fromNumber = message.from;
+  const replyLater = text => {
+    sendWhatsAppMessage(fromNumber, text).catch(error => logger.error('Error sending admission reply', { error }));
+  };
+
+  // Only registered users get through (see lib/users.js); /join <code> redeems an invite
+  const access = await users.checkAccess(fromNumber, message.type === 'text' ? message.text.body : '');
+  if (!access.allowed) {
+    if (access.reply) replyLater(access.reply);
+    return false;
+  }
+
+  // A number sending in a loop is told to slow down once, then ignored until the minute is over
+  const rate = await usage.checkRateLimit(fromNumber);
+  if (!rate.allowed) {
+    if (rate.notify) replyLater(usage.throttleMessage(rate.retryAfterSeconds));
+    return false;
+  }
+  return true;
+}
+
+// Handle one inbound WhatsApp message: active flows, pending confirmations,
+// commands, then Gemini. job is the queue job, when the message came through the queue.
+// Access and rate limits were already checked by admitInboundMessage.
+async function processInboundMessage(message, job = {}) {
+  const fromNumber = message.from;
+
+  try {
+    // Turn media, locations and button taps into text (plus attachments for Gemini)
+    const inbound = await prepareInboundMessage(message);
+    if (inbound.directReply) {
+      await sendWhatsAppMessage(fromNumber, inbound.directReply);
+      return;
+    }
+    const userMessage = inbound.text;
+    logger.info(`Processing ${message.type} message`, { from: fromNumber, text: userMessage });
+
+    const conversationState = await flows.getFlowState(fromNumber);
+    const pending = conversationState ? null : await pendingActions.getPendingAction(fromNumber);
+
+    // First check if user is in the middle of an active conversation flow
+    if (conversationState) {
+      logger.info(`Continuing active ${conversationState.flow} flow`);
+
+      // Process the ongoing conversation flow
+      const actionResult = await flows.continueFlow(fromNumber, userMessage, conversationState);
+
+      // Send response based on the conversation flow step
+      await sendReply(fromNumber, toReply(actionResult));
+    }
+    // Then check if an AI action is waiting for the user's confirmation
+    else if (pending && !userMessage.startsWith('/')) {
+      logger.info(`Replying to pending action ${pending.action}`);
+      await handlePendingActionReply(userMessage, fromNumber, pending, message.id, job);
+    }
+    // "open 2" right after a search summarizes that result
+    else if (search.parseOpenRequest(userMessage) && await search.getRecentResults(fromNumber)) {
+      const actionResult = await search.openResult(fromNumber, search.parseOpenRequest(userMessage));
+      ensureSent(await sendWhatsAppMessage(fromNumber, actionResult.success ? actionResult.message : `❌ ${actionResult.message}`));
+    }
+    // Check if this is a command-based message (starts with /)
+    else if (userMessage && userMessage.startsWith('/')) {
+      // Execute the command directly
+      const actionResult = await handleCommandBasedIntegration(userMessage, fromNumber);
+
+      // Send response based on the command execution
+      let responseMessage;
+      if (actionResult.success) {
+        responseMessage = `✅ Command executed successfully: ${actionResult.message}`;
+      } else {
+        responseMessage = `❌ Command failed: ${actionResult.message}`;
+      }
+
+      await sendReply(fromNumber, toReply(actionResult, responseMessage));
     } else {
-      return {
-        reply: "Hello! This is a mock response since you're running in test mode without an API key. Try asking about reminders, emails, weather, notes, calendar, or search to see different automation examples.",
-        action: "none",
-        params: {}
-      };
+      // Free-form messages need Gemini, which has daily quotas
+      const quota = usage.checkGeminiQuota(fromNumber);
+      if (!quota.allowed) {
+        await sendWhatsAppMessage(fromNumber, quota.message);
+        return;
+      }
+
+      // For regular messages, get AI response
+      const aiResponse = await getGeminiResponse(userMessage, fromNumber, inbound.attachments);
+      logger.info('Gemini response', { reply: aiResponse.reply, action: aiResponse.action, params: aiResponse.params });
+
+      // Nothing has been done yet, so a reply that can't be delivered right now is retried as a whole
+      ensureSent(await sendWhatsAppMessage(fromNumber, aiResponse.reply));
+
+      // Side-effecting actions wait for the user to confirm a preview
+      if (aiResponse.action && actions.requiresConfirmation(aiResponse.action)) {
+        logger.info(`Holding ${aiResponse.action} for confirmation`);
+        const pending = await pendingActions.createPendingAction(fromNumber, {
+          action: aiResponse.action,
+          params: aiResponse.params,
+          userMessage
+        });
+        await sendConfirmationPrompt(fromNumber, pending);
+      }
+      // Read-only actions run directly
+      else if (aiResponse.action && aiResponse.action !== 'none') {
+        const actionResult = await executeAction(aiResponse.action, aiResponse.params, userMessage, fromNumber);
+        job.actionRan = true;
+        if (actionResult.success && actionResult.message !== 'No action needed') {
+          // Send a follow-up message about the action
+          await sendAfterAction(job, fromNumber, `✅ ${actionResult.message}`);
+        } else if (!actionResult.success) {
+          await sendAfterAction(job, fromNumber, `❌ ${actionResult.message}`);
+        }
+      }
+    }
+  } catch (messageError) {
+    // Let the queue retry transient failures (Gemini or WhatsApp unavailable, rate limited).
+    // Once an action ran only its undelivered reply is retried, never the whole message.
+    if (isTransientError(messageError) && (!job.actionRan || job.unsentReply)) throw messageError;
+    logger.error('Error processing message', { error: messageError });
+    if (job.actionRan) return;
+    try {
+      await sendWhatsAppMessage(fromNumber, "Sorry, I encountered an error processing your message. Please try again.");
+    } catch (sendError) {
+      logger.error('Error sending error message', { error: sendError });
     }
   }
-  
-  // If API key is provided, use the actual Gemini API
+}
+
+// Throw when a send failed for a transient reason, so the queue retries the message
+function ensureSent(result) {
+  if (result && result.success === false && result.transient) {
+    throw Object.assign(new Error(`WhatsApp send failed: ${JSON.stringify(result.error)}`), { transient: true });
+  }
+  return result;
+}
+
+// Replies sent after an action ran (job.actionRan). Retrying the whole message
+// would run the action again, or hand a "yes" whose pending action is gone to
+// Gemini, so a reply that can't be delivered right now is kept on the job and
+// the queue's retry only sends it (resendUnsentReply).
+async function sendAfterAction(job, fromNumber, text) {
+  const result = await sendWhatsAppMessage(fromNumber, text);
+  if (result && result.success === false && result.transient && job.id) {
+    job.unsentReply = { to: fromNumber, text };
+    ensureSent(result);
+  }
+  return result;
+}
+
+async function resendUnsentReply(job) {
+  if (!job.unsentReply) return;
+  ensureSent(await sendWhatsAppMessage(job.unsentReply.to, job.unsentReply.text));
+  delete job.unsentReply;
+}
+
+// Gemini AI response function (returns reply AND action/params for integrations).
+// sessionId identifies whose conversation history to use (the sender's phone number on WhatsApp).
+// attachments are Gemini inline data parts (images, PDFs) sent along with the message.
+async function getGeminiResponse(userMessage, sessionId, attachments = []) {
+  const history = sessionId ? memory.getPromptContext(sessionId) : '';
+  const aiResponse = await generateGeminiResponse(userMessage, history, attachments, sessionId);
+  try {
+    await memory.recordExchange(sessionId, userMessage, aiResponse, {
+      summarize: genAI ? (previousSummary, turns) => summarizeConversation(previousSummary, turns, sessionId) : null
+    });
+  } catch (error) {
+    logger.error('Error recording conversation history', { error });
+  }
+  return aiResponse;
+}
+
+// Condense older turns into a short summary so long conversations stay within the prompt budget
+async function summarizeConversation(previousSummary, turns, fromNumber) {
+  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+  const prompt = `
+Summarize this WhatsApp conversation between a user and their assistant in at most 5 short sentences.
+Keep names, email addresses, dates, times, places and anything the user asked to be done.
+
+${previousSummary ? `Earlier summary: ${previousSummary}\n` : ''}${turns.join('\n')}
+  `;
+  return (await generateText(model, prompt, [], fromNumber)).trim();
+}
+
+// Used for search summaries; throws when the quota is used up so callers fall back to plain results
+async function summarizeText(prompt, fromNumber) {
+  const quota = usage.checkGeminiQuota(fromNumber);
+  if (!quota.allowed) throw new Error('Gemini quota reached');
+  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+  return await generateText(model, prompt, [], fromNumber);
+}
+
+// Every Gemini call goes through here so its requests and tokens are counted
+async function generateText(model, prompt, attachments = [], fromNumber) {
+  let response;
+  const startedAt = Date.now();
+  try {
+    const result = await model.generateContent(attachments.length > 0 ? [prompt, ...attachments] : prompt);
+    response = await result.response;
+  } catch (error) {
+    metrics.recordGeminiRequest(false, (Date.now() - startedAt) / 1000);
+    geminiHealth.lastFailure = { at: new Date().toISOString(), message: error.message };
+    throw error;
+  }
+  metrics.recordGeminiRequest(true, (Date.now() - startedAt) / 1000);
+  geminiHealth.lastSuccessAt = new Date().toISOString();
+  usage.recordGeminiUsage(fromNumber, response);
+  return response.text();
+}
+
+// Parse the model's JSON and validate the action params against the action's schema
+function checkModelOutput(text) {
+  let parsed;
+  try {
+    const cleaned = text.replace(/```json\n?|```/g, '').trim();
+    parsed = JSON.parse(cleaned);
+  } catch (error) {
+    return { response: null, errors: [{ path: 'response', message: `response is not valid JSON (${error.message})` }], missing: [] };
+  }
+  return actions.checkActionResponse(parsed);
+}
+
+function buildRepairPrompt(originalPrompt, previousOutput, errors) {
+  return `${originalPrompt}
+
+Your previous answer was:
+${previousOutput}
+
+It could not be used because:
+${errors.map(error => `- ${error.message}`).join('\n')}
+
+Respond again ONLY in JSON with the same structure, fixing these problems. Do not invent values the user did not give; leave such params empty instead.`;
+}
+
+// Instead of executing a half-filled action, ask the user for the missing
+// required params. The incomplete action is kept so the conversation memory
+// lets the next message complete it.
+function askForMissingParams(checked) {
+  const { response, missing } = checked;
+  if (missing.length === 0) return response;
+
+  logger.info(`Action ${response.action} is missing required params`, { missing });
+  return {
+    reply: actions.clarificationQuestion(response.action, missing),
+    action: "none",
+    params: {},
+    incomplete: { action: response.action, params: response.params, missing }
+  };
+}
+
+// Without a model, each action's `mock` recognizes its requests and pulls the
+// dates, times, email addresses and places out of the message itself
+function ruleBasedResponse(userMessage, fromNumber) {
+  logger.debug('Using rule-based response', { userMessage });
+  const ruleResponse = actions.getMockResponse(userMessage, {
+    now: new Date(),
+    timeZone: fromNumber ? users.getTimeZone(fromNumber) : undefined
+  });
+  if (ruleResponse) {
+    return askForMissingParams(actions.checkActionResponse(ruleResponse));
+  }
+  return {
+    reply: "Hello! I'm running without a language model, so I only understand simple requests. Try asking about reminders, emails, weather, notes, calendar, or search to see different automation examples.",
+    action: "none",
+    params: {}
+  };
+}
+
+async function generateGeminiResponse(userMessage, history, attachments = [], fromNumber) {
+  if (!genAI) return ruleBasedResponse(userMessage, fromNumber);
+
   try {
     const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" }); // Using the publicly available Gemini 2.0 Flash model
+    const now = new Date();
+    const settings = fromNumber ? users.getSettings(fromNumber) : {};
+    const timeZone = fromNumber ? users.getTimeZone(fromNumber) : undefined;
     const prompt = `
 You are a helpful WhatsApp personal assistant powered by Gemini 2.0. Analyze the user's message and respond with:
 - a natural, conversational reply
 - a structured "action" and "params" for integrations and automations
 
+Today is ${now.toLocaleDateString('en-US', { weekday: 'long', timeZone })}, ${toLocalDateString(now, timeZone)} and it is ${toLocalTimeString(now, timeZone)} for the user${timeZone ? ` (timezone ${timeZone})` : ''}. Resolve relative dates and times like "tomorrow" or "in 2 hours" against it and give dates and times in the user's timezone.
+${settings.language ? `\nWrite the reply in ${settings.language}.\n` : ''}
 Available actions:
-1. calendar.add - Add calendar events (params: title, date, time, description)
-2. notes.create - Create notes (params: title, content, tags)
-3. reminder.add - Set reminders (params: text, date, time, priority)
-4. email.send - Send emails (params: to, subject, body, cc, bcc)
-5. weather.get - Get weather information (params: location, units)
-6. search.web - Search the web (params: query, limit)
-7. none - No action required
+${actions.buildActionsPrompt(fromNumber)}
+
+Actions that send or create something on the user's behalf are shown to the user for confirmation before they run, so don't claim in your reply that they are already done.
 
-User message: "${userMessage}"
+${attachments.length > 0 ? 'The user attached the file(s) included with this prompt. Read them and use what is in them (e.g. a photo of a flyer can become a calendar.add).\n\n' : ''}${history ? `${history}\n\n` : ''}User message: "${userMessage}"
 
 Respond ONLY in JSON:
 {
   "reply": "Your conversational response to the user",
-  "action": "calendar.add|notes.create|reminder.add|email.send|weather.get|search.web|none",
+  "action": "${actions.actionNames(fromNumber).join('|')}",
   "params": { }
 }
     `;
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    // Parse JSON in response
-    try {
-      const cleaned = response.text().replace(/```json\n?|```/g, '').trim();
-      return JSON.parse(cleaned);
-    } catch {
-      return { reply: response.text(), action: "none", params: {} };
+    let text = await generateText(model, prompt, attachments, fromNumber);
+    let checked = checkModelOutput(text);
+
+    // Ask the model to fix malformed output, telling it exactly what was wrong
+    for (let attempt = 1; attempt <= GEMINI_REPAIR_ATTEMPTS && checked.errors.length > 0; attempt++) {
+      logger.warn(`Repairing Gemini output (attempt ${attempt})`, { errors: checked.errors.map(error => error.message) });
+      text = await generateText(model, buildRepairPrompt(prompt, text, checked.errors), attachments, fromNumber);
+      const repaired = checkModelOutput(text);
+      // Never trade a parseable answer for an unparseable one
+      if (repaired.response || !checked.response) checked = repaired;
+    }
+
+    if (checked.errors.length > 0 && checked.errors.every(error => error.path.startsWith('params.'))) {
+      // Only some params are still malformed: drop them so required ones get asked for instead
+      const params = { ...checked.response.params };
+      for (const error of checked.errors) delete params[error.path.split(/[.[]/)[1]];
+      checked = actions.checkActionResponse({ ...checked.response, params });
     }
+
+    if (checked.errors.length > 0) {
+      // Still unusable - keep the conversational reply but never execute a broken action
+      logger.warn('Gemini output still invalid after repair, dropping action', { errors: checked.errors.map(error => error.message) });
+      const reply = checked.response && typeof checked.response.reply === 'string' ? checked.response.reply : text;
+      return { reply, action: "none", params: {} };
+    }
+    return askForMissingParams(checked);
   } catch (error) {
-    console.error('Gemini AI error:', error);
+    // Replaying and this prompt was never recorded: answer like there was no model
+    if (error.code === 'LLM_REPLAY_MISS') return ruleBasedResponse(userMessage, fromNumber);
+    logger.error('Gemini AI error', { error });
+    // Overloaded or unreachable: let the caller retry later instead of giving up
+    if (isTransientError(error)) throw error;
     return { reply: "Sorry, I couldn't process your message.", action: "none", params: {} };
   }
 }
 
-// Send message via WhatsApp Business API
-async function sendWhatsAppMessage(to, message) {
-  if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_ID) {
-    console.log('WhatsApp Business API not configured');
-    return;
-  }
-  
-  console.log('Attempting to send WhatsApp message to:', to);
-  console.log('Message content:', message);
-  
-  try {
-    // Make sure phone number is in the correct format (should start with country code, no + symbol)
-    const formattedNumber = to.startsWith('+') ? to.substring(1) : to;
-    
-    const payload = {
-      messaging_product: 'whatsapp',
-      to: formattedNumber,
-      text: { body: message }
-    };
-    
-    console.log('Request payload:', JSON.stringify(payload));
-    console.log('Using Phone ID:', WHATSAPP_PHONE_ID);
-    
-    const response = await axios.post(
-      `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_ID}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
+const SUPPORTED_MESSAGE_TYPES = ['text', 'interactive', 'button', 'image', 'audio', 'document', 'location'];
+
+// Normalize an inbound message into { text, attachments } for the normal
+// pipeline, or { directReply } when it can be answered without Gemini.
+async function prepareInboundMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return { text: message.text.body, attachments: [] };
+
+    // Tapped reply buttons and list rows arrive carrying the id we gave them
+    case 'interactive':
+      if (message.interactive?.button_reply) return { text: message.interactive.button_reply.id, attachments: [] };
+      if (message.interactive?.list_reply) return { text: message.interactive.list_reply.id, attachments: [] };
+      return { directReply: "Sorry, I can't handle that kind of reply yet." };
+
+    case 'button':
+      return { text: message.button.payload || message.button.text, attachments: [] };
+
+    case 'location': {
+      const { latitude, longitude, name, address } = message.location;
+      const place = [name, address].filter(Boolean).join(', ');
+      return { text: `📍 I'm sharing my location: ${place ? `${place} ` : ''}(${latitude}, ${longitude})`, attachments: [] };
+    }
+
+    case 'image': {
+      const file = await media.downloadMedia(message.image.id);
+      await media.rememberMedia(message.from, { id: message.image.id, mimeType: file.mimeType });
+      return {
+        text: message.image.caption || '[The user sent an image without a caption]',
+        attachments: [media.toInlineData(file)]
+      };
+    }
+
+    case 'document': {
+      const { id, caption, filename = '' } = message.document;
+      const file = await media.downloadMedia(id);
+      await media.rememberMedia(message.from, { id, mimeType: file.mimeType, filename });
+      // Calendar files seed the user's calendar directly
+      if (file.mimeType === 'text/calendar' || filename.toLowerCase().endsWith('.ics')) {
+        return { directReply: calendar.importIcs(message.from, file.buffer.toString('utf8')).message };
       }
-    );
-    
-    console.log('Message sent successfully! Response:', JSON.stringify(response.data));
-    return { success: true, data: response.data };
-  } catch (error) {
-    console.error('Error sending WhatsApp message:');
-    if (error.response) {
-      console.error('Response error data:', JSON.stringify(error.response.data));
-      console.error('Response status:', error.response.status);
-      
-      // Handle specific WhatsApp error codes
-      const errorCode = error.response.data?.error?.code;
-      const errorMessage = error.response.data?.error?.message;
-      
-      if (errorCode === 131030) {
-        console.error('CRITICAL ERROR: The recipient phone number is not in the allowed list. You must add this number to your test recipients in the Meta Developer Dashboard.');
-      } else if (errorCode === 10) {
-        console.error('CRITICAL ERROR: Your app does not have the proper permissions or your access token is invalid/expired.');
+      if (!media.isGeminiReadable(file.mimeType) || file.mimeType.startsWith('audio/')) {
+        return { directReply: `Sorry, I can't read ${filename || file.mimeType} files yet. Try a PDF, an image or a .ics calendar file. I can still email it for you, just ask.` };
       }
-    } else {
-      console.error('Error details:', error.message);
+      return {
+        text: caption || `[The user sent the document ${filename || file.mimeType}]`,
+        attachments: [media.toInlineData(file)]
+      };
     }
-    
-    return { success: false, error: error.response?.data || error.message };
+
+    case 'audio': {
+      if (!genAI) {
+        return { directReply: "Voice notes need Gemini to be configured. Please type your message instead." };
+      }
+      const quota = usage.checkGeminiQuota(message.from);
+      if (!quota.allowed) {
+        return { directReply: quota.message };
+      }
+      const file = await media.downloadMedia(message.audio.id);
+      const transcript = await transcribeAudio(file, message.from);
+      if (!transcript) {
+        return { directReply: "Sorry, I couldn't make out that voice note. Could you type it instead?" };
+      }
+      logger.info('Transcribed voice note', { transcript });
+      return { text: transcript, attachments: [] };
+    }
+
+    default:
+      return { directReply: `Sorry, I can't handle ${message.type} messages yet.` };
+  }
+}
+
+// Transcribe a voice note with Gemini so it can go through the normal text pipeline
+async function transcribeAudio(file, fromNumber) {
+  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+  const text = await generateText(model, 'Transcribe this voice note word for word. Reply with the transcript only, or an empty reply if there is no speech.', [media.toInlineData(file)], fromNumber);
+  return text.trim();
+}
+
+const CONFIRM_WORDS = ['yes', 'y', 'confirm', 'ok', 'okay', 'send', 'sure', 'go', '👍'];
+const REJECT_WORDS = ['no', 'n', 'cancel', 'stop', 'abort', '👎'];
+
+async function sendConfirmationPrompt(fromNumber, pending) {
+  const preview = actions.buildPreview(pending.action, pending.params, { fromNumber });
+  const text = `${preview}\n\nReply *yes* to confirm, *no* to cancel or *edit <field>* to change something. This expires in ${pendingActions.PENDING_ACTION_TTL_MINUTES} minutes.`;
+  return await sendWhatsAppButtons(fromNumber, text, [
+    { id: 'yes', title: '✅ Confirm' },
+    { id: 'no', title: '❌ Cancel' },
+    { id: 'edit', title: '✏️ Edit' }
+  ]);
+}
+
+// Handle yes / no / edit replies to an action waiting for confirmation
+async function handlePendingActionReply(message, fromNumber, pending, messageId, job = {}) {
+  const text = message.trim();
+  const lower = text.toLowerCase();
+
+  if (pending.expired) {
+    await pendingActions.clearPendingAction(fromNumber);
+    return await sendWhatsAppMessage(fromNumber, '⌛ That request expired before it was confirmed, so I did nothing. Please ask again.');
+  }
+
+  // The user is typing a new value for a field they chose to edit
+  if (pending.editingField && !REJECT_WORDS.includes(lower)) {
+    return await applyPendingEdit(fromNumber, pending, pending.editingField, text);
+  }
+
+  if (CONFIRM_WORDS.includes(lower)) {
+    // Cleared only once the action has run, so a retry after a transient failure still finds it
+    const actionResult = await executeAction(pending.action, pending.params, pending.userMessage, fromNumber);
+    job.actionRan = true;
+    await pendingActions.clearPendingAction(fromNumber);
+    if (messageId) await sendWhatsAppReaction(fromNumber, messageId, actionResult.success ? '✅' : '❌');
+    return await sendAfterAction(job, fromNumber, actionResult.success ? `✅ ${actionResult.message}` : `❌ ${actionResult.message}`);
+  }
+
+  if (REJECT_WORDS.includes(lower)) {
+    await pendingActions.clearPendingAction(fromNumber);
+    return await sendWhatsAppMessage(fromNumber, 'Cancelled, nothing was done.');
+  }
+
+  const editMatch = text.match(/^edit\b\s*(\S+)?\s*([\s\S]*)$/i);
+  if (editMatch) {
+    const fields = actions.editableFields(pending.action);
+    const field = editMatch[1] && fields.find(name => name.toLowerCase() === editMatch[1].toLowerCase());
+    if (!field) {
+      return await sendWhatsAppList(fromNumber, 'Which field should I change? Pick one below or reply *edit <field>*.', 'Choose field',
+        fields.map(name => ({
+          id: `edit ${name}`,
+          title: name,
+          description: pending.params[name] ? String(pending.params[name]) : undefined
+        })));
+    }
+    // "edit subject Lunch plans" sets the value right away
+    if (editMatch[2].trim()) {
+      return await applyPendingEdit(fromNumber, pending, field, editMatch[2].trim());
+    }
+    await pendingActions.updatePendingAction(fromNumber, { editingField: field });
+    const current = pending.params[field];
+    return await sendWhatsAppMessage(fromNumber, `What should the ${field} be?${current ? ` (currently: ${current})` : ''}`);
+  }
+
+  return await sendWhatsAppMessage(fromNumber, `You have an unconfirmed ${pending.action} waiting. Reply *yes* to confirm, *no* to cancel or *edit <field>* to change something.`);
+}
+
+async function applyPendingEdit(fromNumber, pending, field, value) {
+  const params = actions.normalizeParams(pending.action, { ...pending.params, [field]: value });
+  const errors = actions.validateParams(pending.action, params).filter(error => error.path === `params.${field}`);
+  if (errors.length > 0) {
+    return await sendWhatsAppMessage(fromNumber, `That doesn't look right: ${errors.map(error => error.message).join('; ')}. Please try again.`);
   }
+  const updated = await pendingActions.updatePendingAction(fromNumber, { params, editingField: null });
+  return await sendConfirmationPrompt(fromNumber, updated);
+}
+
+// Enhanced test endpoints for local development. Like the mocks they are only
+// there with ENABLE_MOCKS=1, and their conversations live in a namespace of
+// their own ("test:<id>"), so they can never read, add to or reset a real
+// user's memory or use up a real number's quota.
+function requireMocksEnabled(req, res, next) {
+  if (!ENABLE_MOCKS) return res.status(404).send('Not found');
+  next();
+}
+
+function testSessionId(id) {
+  return id ? `test:${id}` : undefined;
 }
 
-// Enhanced test endpoints for local development
 // Test AI endpoint
-app.post('/test-ai', async (req, res) => {
+app.post('/test-ai', requireMocksEnabled, async (req, res) => {
   try {
     const { message } = req.body;
-    const response = await getGeminiResponse(message);
+    const sessionId = testSessionId(req.body.sessionId);
+    if (sessionId && message && message.trim().toLowerCase() === '/reset') {
+      memory.resetSession(sessionId);
+      return res.json({ reply: 'Conversation history cleared.', action: 'none', params: {} });
+    }
+    const response = await getGeminiResponse(message, sessionId);
     res.json(response);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -370,7 +768,7 @@ app.post('/test-ai', async (req, res) => {
 });
 
 // Chat UI for easy testing (local dev only)
-app.get('/test-chat', (req, res) => {
+app.get('/test-chat', requireMocksEnabled, (req, res) => {
   res.send(`
 <!DOCTYPE html>
 <html lang="en">
@@ -398,12 +796,33 @@ app.get('/test-chat', (req, res) => {
   <form id="message-form">
     <input type="text" id="message-input" placeholder="Type a message..." autocomplete="off">
     <button type="submit">Send</button>
+    <button type="button" id="reset-button" style="margin-left: 10px; background: #888;">New session</button>
   </form>
+  <p id="session-info" style="color: #888; font-size: 0.8em;"></p>
 
   <script>
     const chatContainer = document.getElementById('chat-container');
     const messageForm = document.getElementById('message-form');
     const messageInput = document.getElementById('message-input');
+    const sessionInfo = document.getElementById('session-info');
+
+    // Keep one session id per browser so the bot remembers earlier messages
+    let sessionId = localStorage.getItem('testChatSessionId');
+    if (!sessionId) {
+      sessionId = 'test-' + Math.random().toString(36).slice(2, 10);
+      localStorage.setItem('testChatSessionId', sessionId);
+    }
+    sessionInfo.textContent = 'Session: ' + sessionId;
+
+    document.getElementById('reset-button').addEventListener('click', async () => {
+      await fetch('/test-ai', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: '/reset', sessionId })
+      });
+      chatContainer.innerHTML = '';
+      addMessage('Conversation history cleared.', 'bot');
+    });
 
     messageForm.addEventListener('submit', async (e) => {
       e.preventDefault();
@@ -419,7 +838,7 @@ app.get('/test-chat', (req, res) => {
         const response = await fetch('/test-ai', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ message })
+          body: JSON.stringify({ message, sessionId })
         });
 
         const data = await response.json();
@@ -463,195 +882,567 @@ app.get('/test-chat', (req, res) => {
 });
 
 // Fake webhook simulator for testing without actual WhatsApp integration
-app.post('/test-webhook', async (req, res) => {
+app.post('/test-webhook', requireMocksEnabled, async (req, res) => {
   try {
     const { message, phone = '123456789' } = req.body;
+    const sessionId = testSessionId(req.body.sessionId || phone);
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
     
-    // Get AI response
-    const aiResponse = await getGeminiResponse(message);
+    // Get AI response, with conversation memory like a WhatsApp user gets (in the test namespace)
+    const aiResponse = await getGeminiResponse(message, sessionId);
     
     // Log the response that would be sent to WhatsApp
-    console.log('Simulated WhatsApp message to:', phone);
-    console.log('Bot response:', aiResponse.reply);
-    console.log('Action:', aiResponse.action);
-    console.log('Params:', aiResponse.params);
+    logger.info('Simulated WhatsApp message', { to: phone, reply: aiResponse.reply, action: aiResponse.action, params: aiResponse.params });
     
     res.json({
       success: true,
       response: aiResponse,
       simulation: {
         to: phone,
+        sessionId,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    console.error('Test webhook error:', error);
+    logger.error('Test webhook error', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
+// Team-facing API routes need ADMIN_API_KEY; without one configured they stay closed
+function requireApiKey(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'The admin API is disabled until ADMIN_API_KEY is set' });
+  }
+  if (req.get('x-api-key') === ADMIN_API_KEY) return next();
+  res.status(401).json({ error: 'Invalid or missing API key' });
+}
+
+// Notes API so the team can see what users saved
+// GET /api/notes?phone=&tag=&q=
+app.get('/api/notes', requireApiKey, (req, res) => {
+  const { phone, tag, q } = req.query;
+  const results = q
+    ? notes.searchNotes({ fromNumber: phone, query: q, tag })
+    : notes.getNotes({ fromNumber: phone, tag });
+  res.json({ count: results.length, notes: results });
+});
+
+app.post('/api/notes', requireApiKey, (req, res) => {
+  const { phone, title, content, tags } = req.body;
+  if (!phone) {
+    return res.status(400).json({ error: 'phone is required' });
+  }
+  const result = notes.createNote(phone, { title, content, tags });
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  res.status(201).json(result.data);
+});
+
+app.delete('/api/notes/:id', requireApiKey, (req, res) => {
+  const note = notes.findNote(null, req.params.id);
+  if (!note) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+  notes.deleteNote(note.fromNumber, note.id);
+  res.json({ success: true, deleted: note });
+});
+
+// Delivery log of emails sent through the built-in transport
+// GET /api/emails?phone=
+app.get('/api/emails', requireApiKey, (req, res) => {
+  const emails = getEmails({ fromNumber: req.query.phone });
+  res.json({ count: emails.length, emails });
+});
+
+// Messages, throttling, Gemini requests/tokens and actions per user and per action
+// GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&phone= (defaults to today, UTC)
+app.get('/api/usage', requireApiKey, (req, res) => {
+  const { from, to, phone } = req.query;
+  const invalid = [from, to].find(day => day && !isValidDate(day));
+  if (invalid) {
+    return res.status(400).json({ error: `Invalid date ${invalid}, expected YYYY-MM-DD` });
+  }
+  res.json(usage.getUsageReport({ from, to, phone }));
+});
+
+// Inbound message queue: depth, per-user backlog, jobs and failed jobs
+app.get('/api/queue', requireApiKey, (req, res) => {
+  res.json({ stats: messageQueue.getStats(), jobs: messageQueue.listJobs(), failed: messageQueue.listFailed() });
+});
+
+app.post('/api/queue/failed/:id/retry', requireApiKey, (req, res) => {
+  const job = messageQueue.retryFailed(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Failed job not found' });
+  }
+  res.json(job);
+});
+
+app.delete('/api/queue/failed/:id', requireApiKey, (req, res) => {
+  if (!messageQueue.deleteFailed(req.params.id)) {
+    return res.status(404).json({ error: 'Failed job not found' });
+  }
+  res.json({ success: true });
+});
+
+// Delivery status of messages sent in the last MESSAGE_STATUS_RETENTION_HOURS
+// GET /api/messages?phone=&status=sent|delivered|read|failed
+app.get('/api/messages', requireApiKey, (req, res) => {
+  const messages = messageStatus.listMessageStatuses({
+    to: req.query.phone ? users.normalizePhone(req.query.phone) : undefined,
+    status: req.query.status
+  });
+  res.json({ count: messages.length, messages });
+});
+
+app.get('/api/messages/:id', requireApiKey, (req, res) => {
+  const record = messageStatus.getMessageStatus(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.json(record);
+});
+
+// Send a failed text message again
+app.post('/api/messages/:id/resend', requireApiKey, async (req, res) => {
+  const result = await whatsapp.resendMessage(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.status(result.success ? 200 : 502).json(result);
+});
+
+// Recent conversation histories (the same turns Gemini sees)
+app.get('/api/conversations', requireApiKey, (req, res) => {
+  const conversations = memory.listSessions().map(conversation => {
+    const user = users.getUser(conversation.sessionId);
+    return { ...conversation, name: user ? user.name : null };
+  });
+  res.json({ count: conversations.length, conversations });
+});
+
+app.get('/api/conversations/:phone', requireApiKey, (req, res) => {
+  const session = memory.getSession(req.params.phone);
+  if (!session) {
+    return res.status(404).json({ error: 'No recent conversation' });
+  }
+  res.json({ phone: req.params.phone, ...session });
+});
+
+// Executed actions with params and result, newest first
+// GET /api/actions?phone=&action=&success=true|false&limit=
+app.get('/api/actions', requireApiKey, (req, res) => {
+  const { phone, action, success, limit } = req.query;
+  const runs = actionLog.listActionRuns({
+    fromNumber: phone ? users.normalizePhone(phone) : undefined,
+    action,
+    success: success === undefined ? undefined : success === 'true',
+    limit: parseInt(limit, 10) || 100
+  });
+  res.json({ count: runs.length, actions: runs });
+});
+
+// Guided flows in progress
+app.get('/api/flows', requireApiKey, async (req, res) => {
+  const active = await flows.listActiveFlows();
+  res.json({ count: active.length, flows: active });
+});
+
+// Cancel a stuck flow; ?notify=true also tells the user
+app.delete('/api/flows/:phone', requireApiKey, async (req, res) => {
+  const phone = users.normalizePhone(req.params.phone);
+  const state = await flows.getFlowState(phone);
+  if (!state) {
+    return res.status(404).json({ error: 'No active flow' });
+  }
+  await flows.clearFlowState(phone);
+  logger.info(`Cancelled ${state.flow} flow from the admin API`, { phone });
+  if (req.query.notify === 'true') {
+    const flow = flows.getFlow(state.flow);
+    await sendWhatsAppMessage(phone, `Your ${state.flow} was cancelled.${flow && flow.command ? ` Send ${flow.command} to start again.` : ''}`);
+  }
+  res.json({ success: true, flow: state.flow });
+});
+
+// Outbound webhook deliveries that failed after all retries
+app.get('/api/integrations/dead-letters', requireApiKey, (req, res) => {
+  const deadLetters = integrations.listDeadLetters();
+  res.json({ count: deadLetters.length, deadLetters });
+});
+
+app.post('/api/integrations/dead-letters/:id/retry', requireApiKey, async (req, res) => {
+  const result = await integrations.retryDeadLetter(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.status(result.success ? 200 : 502).json(result);
+});
+
+app.delete('/api/integrations/dead-letters/:id', requireApiKey, (req, res) => {
+  if (!integrations.deleteDeadLetter(req.params.id)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.json({ success: true });
+});
+
+// User registry: roles, allowlist status and per-user settings
+app.get('/api/users', requireApiKey, (req, res) => {
+  const list = users.listUsers();
+  res.json({ accessMode: users.ACCESS_MODE, count: list.length, users: list });
+});
+
+app.get('/api/users/:phone', requireApiKey, (req, res) => {
+  const user = users.getUser(req.params.phone);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json(user);
+});
+
+// Create or update a user: { role, status, name, settings }
+app.put('/api/users/:phone', requireApiKey, (req, res) => {
+  const { role, status, name, settings } = req.body;
+  const existed = Boolean(users.getUser(req.params.phone));
+  const result = users.saveUser(req.params.phone, { role, status, name, settings });
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  res.status(existed ? 200 : 201).json(result.user);
+});
+
+app.patch('/api/users/:phone/settings', requireApiKey, (req, res) => {
+  if (!users.getUser(req.params.phone)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const result = users.updateSettings(req.params.phone, req.body || {});
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  res.json(result.user.settings);
+});
+
+app.delete('/api/users/:phone', requireApiKey, (req, res) => {
+  const result = users.deleteUser(req.params.phone);
+  if (!result.success) {
+    return res.status(users.getUser(req.params.phone) ? 400 : 404).json({ error: result.message });
+  }
+  res.json({ success: true });
+});
+
+app.get('/api/invites', requireApiKey, (req, res) => {
+  const invites = users.listInvites();
+  res.json({ count: invites.length, invites });
+});
+
+// { role, uses, ttlDays }
+app.post('/api/invites', requireApiKey, (req, res) => {
+  const { role, uses, ttlDays } = req.body || {};
+  const result = users.createInvite({ role, uses, ttlDays: parseInt(ttlDays, 10) || undefined, createdBy: 'api' });
+  if (!result.success) {
+    return res.status(400).json({ error: result.message });
+  }
+  res.status(201).json(result.invite);
+});
+
+app.delete('/api/invites/:code', requireApiKey, (req, res) => {
+  if (!users.deleteInvite(req.params.code)) {
+    return res.status(404).json({ error: 'Invite not found' });
+  }
+  res.json({ success: true });
+});
+
+// Calendar feed so users can subscribe from any calendar client.
+// Only served when CALENDAR_FEED_SECRET is set, since phone numbers are easy to guess.
+app.get('/api/calendar/:phone.ics', (req, res) => {
+  const { phone } = req.params;
+  if (!calendar.isFeedEnabled()) {
+    return res.status(404).send('Not found');
+  }
+  if (!calendar.verifyFeedToken(phone, req.query.token)) {
+    return res.status(403).send('Forbidden');
+  }
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${phone}.ics"`);
+  res.send(calendar.exportIcs(phone));
+});
+
+// Seed a user's calendar from an uploaded .ics file. Accepts the raw file
+// (Content-Type: text/calendar) or JSON { ics: "..." }.
+app.post('/api/calendar/:phone/import', requireApiKey, express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), (req, res) => {
+  const icsText = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+  if (!icsText) {
+    return res.status(400).json({ error: 'An .ics file body is required' });
+  }
+  const result = calendar.importIcs(req.params.phone, icsText);
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Prometheus scrape endpoint. Protected with a bearer token when METRICS_TOKEN is set.
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).send('Unauthorized');
+  }
+  const { contentType, body } = await metrics.getMetrics();
+  res.set('Content-Type', contentType).send(body);
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error', { error: err, path: req.path });
   res.status(500).json({ error: 'Something went wrong!', message: err.message });
 });
 
-// Add handling for automation actions (for future implementation)
-const N8N_EMAIL_WEBHOOK = 'https://areenxo.app.n8n.cloud/webhook-test/whatsapp-email';
-
-// Store conversation states for users
-const userConversationStates = {};
-
 async function executeAction(action, params, userMessage, fromNumber) {
-  console.log(`Executing action: ${action}`);
-  console.log('With params:', params);
+  logger.info(`Executing action: ${action}`, { params });
   
   // Process command-based integrations first
   if (userMessage && userMessage.startsWith('/')) {
     return await handleCommandBasedIntegration(userMessage, fromNumber);
   }
   
-  // Process AI-detected actions
-  switch(action) {
-    case 'email.send':
-      return await sendEmailViaN8n(params, fromNumber);
-    
-    case 'calendar.add':
-      // Implement calendar event creation
-      return { success: true, message: 'Calendar event would be created (not actually implemented yet)' };
-    
-    case 'reminder.add':
-      // Implement reminder creation
-      return { success: true, message: 'Reminder would be set (not actually implemented yet)' };
-    
-    case 'notes.create':
-      // Implement note creation
-      return { success: true, message: 'Note would be created (not actually implemented yet)' };
-    
-    case 'weather.get':
-      // Implement weather information retrieval
-      return { success: true, message: 'Weather information would be retrieved (not actually implemented yet)' };
-    
-    case 'search.web':
-      // Implement web search
-      return { success: true, message: 'Web search would be performed (not actually implemented yet)' };
-    
-    case 'none':
-      return { success: true, message: 'No action needed' };
-    
-    default:
-      return { success: false, message: `Unknown action: ${action}` };
-  }
+  // Process AI-detected actions through the action registry
+  return await actions.dispatchAction(action, params, { fromNumber, userMessage });
 }
 
+// Commands counted under their own name in metrics (flow commands are added
+// automatically); anything else is counted as "other"
+const COMMANDS = [
+  '/reminders', '/snooze', '/cancel', '/note', '/notes', '/findnote', '/calendar', '/weather',
+  '/search', '/open', '/reset', '/settings', '/invite', '/allow', '/block', '/users'
+];
+
 async function handleCommandBasedIntegration(message, fromNumber) {
   const command = message.split(' ')[0].toLowerCase();
   const content = message.slice(command.length).trim();
   
-  console.log(`Processing command: ${command}`);
-  console.log(`Command content: ${content}`);
+  logger.info(`Processing command: ${command}`, { content });
+  metrics.recordCommand(COMMANDS.includes(command) || flows.getFlowByCommand(command) ? command : 'other');
   
   // Handle conversation states
-  if (userConversationStates[fromNumber]) {
-    const conversationState = userConversationStates[fromNumber];
-    
-    // Check if user is in the middle of an email conversation flow
-    if (conversationState.flow === 'email') {
-      return await continueEmailFlow(message, fromNumber, conversationState);
-    }
+  const conversationState = await flows.getFlowState(fromNumber);
+  if (conversationState) {
+    return await flows.continueFlow(fromNumber, message, conversationState);
+  }
+
+  // Guided flows (/email, /remind, /event) are defined in flows/
+  const flow = flows.getFlowByCommand(command);
+  if (flow) {
+    return await flows.startFlow(flow.name, fromNumber, content);
   }
   
   // Handle new commands
   switch(command) {
-    case '/email':
-      // Initialize email conversation flow
-      userConversationStates[fromNumber] = {
-        flow: 'email',
-        step: 'recipient',
-        data: {
-          to: '',
-          subject: '',
-          body: ''
-        },
-        timestamp: Date.now()
-      };
-      
-      return { 
-        success: true, 
-        message: "Please enter recipient's email address:" 
-      };
-      
+    case '/reminders':
+      return reminders.listReminders(fromNumber);
+
+    case '/snooze': {
+      const [id, ...duration] = content.split(/\s+/);
+      if (!id) {
+        return { success: false, message: 'Usage: /snooze <id> <duration>, e.g. /snooze 3 30m' };
+      }
+      return reminders.snoozeReminder(fromNumber, id, duration.join(' '));
+    }
+
+    case '/cancel':
+      if (!content) {
+        return { success: false, message: 'Usage: /cancel <id>. Use /reminders to see your reminder ids.' };
+      }
+      return reminders.cancelReminder(fromNumber, content.split(/\s+/)[0]);
+
+    case '/note': {
+      // /note <text>, /note append <id> <text>, /note delete <id>, /note show <id>.
+      // Without a note id after it the word is part of the note ("/note delete the old backups")
+      const [subcommand, id] = content.split(/\s+/);
+      switch (/^#?\d+$/.test(id || '') ? subcommand.toLowerCase() : null) {
+        case 'append':
+          return notes.appendToNote(fromNumber, id, content.replace(/^\S+\s+\S+/, ''));
+        case 'delete':
+          return notes.deleteNote(fromNumber, id);
+        case 'show':
+          return notes.showNote(fromNumber, id);
+        default:
+          if (!content) {
+            return { success: false, message: 'Usage: /note <title>: <text> #tag, /note append <id> <text>, /note delete <id>' };
+          }
+          return notes.createNote(fromNumber, notes.parseNoteText(content));
+      }
+    }
+
+    case '/notes':
+      return notes.listNotes(fromNumber, content.startsWith('#') ? content.split(/\s+/)[0] : null);
+
+    case '/findnote':
+      if (!content) {
+        return { success: false, message: 'Usage: /findnote <text>' };
+      }
+      return notes.findNotes(fromNumber, content);
+
+    case '/calendar': {
+      // /calendar [today|tomorrow|week|YYYY-MM-DD], /calendar link, /calendar delete <id>
+      const [subcommand, id] = content.toLowerCase().split(/\s+/);
+      const today = toLocalDateString(new Date(), users.getTimeZone(fromNumber));
+      switch (subcommand) {
+        case 'link': {
+          const url = calendar.feedUrl(fromNumber);
+          if (!url) return { success: false, message: 'Calendar subscriptions are not enabled on this server.' };
+          return { success: true, message: `Subscribe to your calendar from any calendar app:\n${url}` };
+        }
+        case 'delete':
+          return calendar.deleteEvent(fromNumber, id);
+        case 'tomorrow':
+          return calendar.listEvents(fromNumber, { date: addDays(today, 1) });
+        case 'week':
+          return calendar.listEvents(fromNumber, { date: today, days: 7 });
+        default:
+          return calendar.listEvents(fromNumber, { date: subcommand && subcommand !== 'today' ? subcommand : today });
+      }
+    }
+
+    case '/weather': {
+      // /weather [place], /weather home <place>
+      const [subcommand] = content.split(/\s+/);
+      if (subcommand.toLowerCase() === 'home') {
+        return await weather.setHomeLocation(fromNumber, content.slice(subcommand.length).trim());
+      }
+      return await weather.getWeather(fromNumber, { location: content });
+    }
+
+    case '/search':
+      if (!content) {
+        return { success: false, message: 'Usage: /search <query>' };
+      }
+      return await search.searchWeb(fromNumber, { query: content });
+
+    case '/open':
+      if (!search.parseOpenRequest(message)) {
+        return { success: false, message: 'Usage: /open <result number>' };
+      }
+      return await search.openResult(fromNumber, search.parseOpenRequest(message));
+
+    case '/reset':
+      memory.resetSession(fromNumber);
+      return { success: true, message: "I've cleared our conversation history. Let's start fresh!" };
+
+    case '/settings':
+      return await handleSettingsCommand(fromNumber, content);
+
+    // Admin-only user management
+    case '/invite':
+    case '/allow':
+    case '/block':
+    case '/users':
+      if (!users.isAdmin(fromNumber)) {
+        return { success: false, message: 'Only admins can manage users.' };
+      }
+      return handleUserAdminCommand(command, content, fromNumber);
+
     // Add other commands here as needed
     default:
       return { success: false, message: `Unknown command: ${command}` };
   }
 }
 
-// Handle the conversation flow for collecting email info
-async function continueEmailFlow(message, fromNumber, state) {
-  console.log(`Continuing email flow, current step: ${state.step}`);
-  
-  // Expire conversation states after 10 minutes of inactivity
-  const expirationTime = 10 * 60 * 1000; // 10 minutes in milliseconds
-  if (Date.now() - state.timestamp > expirationTime) {
-    delete userConversationStates[fromNumber];
-    return { success: false, message: "Your email session has expired. Please start again with /email" };
-  }
-  
-  // Update timestamp to keep conversation fresh
-  state.timestamp = Date.now();
-  
-  // Handle different steps of the email flow
-  switch(state.step) {
-    case 'recipient':
-      state.data.to = message.trim();
-      state.step = 'subject';
-      return { success: true, message: "Great! Now please enter the subject line:" };
-      
-    case 'subject':
-      state.data.subject = message.trim();
-      state.step = 'body';
-      return { success: true, message: "Perfect! Now type the email body:" };
-      
-    case 'body':
-      state.data.body = message.trim();
-      state.step = 'confirmation';
-      
-      // Show confirmation
-      return { 
-        success: true, 
-        message: `Here's your email:\n\nTo: ${state.data.to}\nSubject: ${state.data.subject}\n\n${state.data.body}\n\nType 'send' to send it or 'cancel' to abort.` 
-      };
-      
-    case 'confirmation':
-      if (message.toLowerCase() === 'send') {
-        // Send the email
-        const result = await sendEmailViaN8n(state.data, fromNumber);
-        
-        // Clear the conversation state
-        delete userConversationStates[fromNumber];
-        
-        return result;
-      } else if (message.toLowerCase() === 'cancel') {
-        // Clear the conversation state
-        delete userConversationStates[fromNumber];
-        
-        return { success: false, message: "Email cancelled." };
-      } else {
-        return { 
-          success: false, 
-          message: "I didn't understand. Type 'send' to send the email or 'cancel' to abort."
-        };
+function describeSettings(fromNumber) {
+  const settings = users.getSettings(fromNumber);
+  const disabled = Object.keys(settings.actions).filter(name => settings.actions[name] === false);
+  const home = settings.homeLocation;
+  return [
+    '⚙️ Your settings:',
+    `Timezone: ${settings.timezone || `not set (using ${users.getTimeZone(fromNumber) || Intl.DateTimeFormat().resolvedOptions().timeZone})`}`,
+    `Language: ${settings.language || 'not set'}`,
+    `Email signature: ${settings.signature || 'none'}`,
+    `Home location: ${home ? `${home.name}${home.country ? `, ${home.country}` : ''}` : 'not set'}`,
+    `Turned off: ${disabled.length > 0 ? disabled.join(', ') : 'nothing'}`,
+    '',
+    'Change them with /settings timezone <Region/City>, /settings language <language>, /settings signature <text>, /settings home <place> or /settings actions <name> on|off. Use "none" to clear a setting.'
+  ].join('\n');
+}
+
+// /settings, /settings <name> <value>
+async function handleSettingsCommand(fromNumber, content) {
+  const [name = '', ...rest] = content.split(/\s+/);
+  const value = content.slice(name.length).trim();
+  const clear = /^(none|off|clear|reset)$/i.test(value);
+
+  switch (name.toLowerCase()) {
+    case '':
+      return { success: true, message: describeSettings(fromNumber) };
+
+    case 'timezone':
+    case 'tz': {
+      if (!value) return { success: false, message: 'Usage: /settings timezone <Region/City>, e.g. /settings timezone Europe/Berlin' };
+      const result = users.updateSettings(fromNumber, { timezone: clear ? null : value });
+      if (!result.success) return result;
+      const timeZone = users.getTimeZone(fromNumber);
+      return { success: true, message: `Timezone ${clear ? 'reset' : `set to ${value}`}. It's now ${toLocalTimeString(new Date(), timeZone)} there.` };
+    }
+
+    case 'language': {
+      if (!value) return { success: false, message: 'Usage: /settings language <language>, e.g. /settings language Spanish' };
+      const result = users.updateSettings(fromNumber, { language: clear ? null : value });
+      return result.success ? { success: true, message: clear ? 'Language reset.' : `I'll reply in ${value}.` } : result;
+    }
+
+    case 'signature': {
+      if (!value) return { success: false, message: 'Usage: /settings signature <text>, or /settings signature none' };
+      const result = users.updateSettings(fromNumber, { signature: clear ? null : value });
+      return result.success ? { success: true, message: clear ? 'Email signature removed.' : 'Email signature saved. It is added to emails you send.' } : result;
+    }
+
+    case 'home':
+      if (clear) {
+        const result = users.updateSettings(fromNumber, { homeLocation: null });
+        return result.success ? { success: true, message: 'Home location removed.' } : result;
       }
-      
+      return await weather.setHomeLocation(fromNumber, value);
+
+    case 'actions': {
+      const [actionName, state] = rest;
+      if (!actionName) {
+        const lines = actions.listActions().map(action => `${users.isActionEnabled(fromNumber, action.name) ? '✅' : '⛔'} ${action.name} - ${action.description}`);
+        return { success: true, message: `Your actions:\n${lines.join('\n')}\n\nTurn one on or off with /settings actions <name> on|off` };
+      }
+      if (!actions.getAction(actionName) || !/^(on|off)$/i.test(state || '')) {
+        return { success: false, message: 'Usage: /settings actions <name> on|off. Send /settings actions to see the names.' };
+      }
+      const enabled = state.toLowerCase() === 'on';
+      const result = users.updateSettings(fromNumber, { actions: { [actionName]: enabled } });
+      return result.success ? { success: true, message: `${actionName} turned ${enabled ? 'on' : 'off'}.` } : result;
+    }
+
     default:
-      // Invalid state, reset
-      delete userConversationStates[fromNumber];
-      return { success: false, message: "Something went wrong with your email. Please try again with /email" };
+      return { success: false, message: `Unknown setting "${name}". Send /settings to see what you can change.` };
+  }
+}
+
+// /invite [admin] [uses], /allow <number> [admin], /block <number>, /users
+function handleUserAdminCommand(command, content, fromNumber) {
+  const args = content.split(/\s+/).filter(Boolean);
+  switch (command) {
+    case '/invite': {
+      const role = args.includes('admin') ? 'admin' : 'user';
+      const uses = args.find(arg => /^\d+$/.test(arg));
+      return users.createInvite({ role, uses, createdBy: fromNumber });
+    }
+    case '/allow':
+      if (!args[0]) return { success: false, message: 'Usage: /allow <number> [admin]' };
+      return users.saveUser(args[0], { status: 'active', ...(args[1] === 'admin' ? { role: 'admin' } : {}) });
+    case '/block':
+      if (!args[0]) return { success: false, message: 'Usage: /block <number>' };
+      if (users.normalizePhone(args[0]) === users.normalizePhone(fromNumber)) {
+        return { success: false, message: "You can't block yourself." };
+      }
+      return users.saveUser(args[0], { status: 'blocked' });
+    default: {
+      const lines = users.listUsers().map(user =>
+        `${user.status === 'blocked' ? '⛔' : user.role === 'admin' ? '👑' : '👤'} ${user.phone}${user.name ? ` (${user.name})` : ''}`);
+      return { success: true, message: `Users (access mode: ${users.ACCESS_MODE}):\n${lines.join('\n') || 'none yet'}` };
+    }
   }
 }
 
@@ -678,48 +1469,41 @@ function parseEmailCommand(content) {
   return params;
 }
 
-async function sendEmailViaN8n(params, fromNumber) {
-  try {
-    console.log('Sending email via n8n webhook');
-    console.log('Email parameters:', params);
-    
-    // Add sender information to the payload
-    const payload = {
-      ...params,
-      fromNumber: fromNumber,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Call the n8n webhook
-    const response = await axios.post(N8N_EMAIL_WEBHOOK, payload);
-    
-    console.log('n8n webhook response:', response.data);
-    return { 
-      success: true, 
-      message: 'Email request sent to n8n',
-      data: response.data
-    };
-  } catch (error) {
-    console.error('Error calling n8n webhook:', error.message);
-    return { 
-      success: false, 
-      message: `Failed to send email via n8n: ${error.message}`,
-      error: error
-    };
-  }
-}
-
 app.listen(PORT, () => {
-  console.log(`🚀 WhatsApp Gemini Bot running on port ${PORT}`);
-  console.log(`🤖 Gemini AI: 2.0 Flash Enabled`);
-  console.log(`🧪 Test UI available at: http://localhost:${PORT}/test-chat`);
-  console.log(`📝 API Documentation:`);
-  console.log(`   - POST /test-ai - Test AI responses`);
-  console.log(`   - POST /test-webhook - Simulate WhatsApp webhook`);
-  console.log(`   - GET /test-chat - Interactive chat UI for testing`);
-});
+  logger.info(`🚀 WhatsApp Gemini Bot running on port ${PORT}`);
+  logger.info(`🤖 Gemini AI: ${genAI ? `2.0 Flash (${geminiMode})` : 'rule-based answers'}`);
+  if (ENABLE_MOCKS) {
+    logger.info(`🧪 Test UI available at: http://localhost:${PORT}/test-chat (POST /test-ai and /test-webhook simulate messages)`);
+  }
+  logger.info(`🛠️ Admin dashboard at: http://localhost:${PORT}/admin`);
 
+  // Deliver stored reminders, including any that came due while we were down
+  // (sendWhatsAppMessage falls back to the notification template outside the 24-hour window)
+  reminders.startReminderScheduler(sendWhatsAppMessage);
+  messageQueue.start();
+  memory.startMemorySweeper();
+  idempotency.startIdempotencySweeper();
+  startStateSweeper();
 
+  if (users.ACCESS_MODE === 'open') {
+    logger.warn('⚠️ ACCESS_MODE is open: anyone who messages this number can use the assistant. Set OWNER_NUMBERS to restrict access.');
+  } else if (!ADMIN_API_KEY) {
+    logger.warn('⚠️ No ADMIN_API_KEY provided. Users and invites can only be managed with the WhatsApp admin commands; /api/users is disabled.');
+  }
 
+  if (ENABLE_MOCKS) {
+    logger.warn('⚠️ ENABLE_MOCKS is on: /mock-graph, /mock-webhooks and the /test-* endpoints are mounted. Never expose this server publicly.');
+  }
 
+  if (!WHATSAPP_APP_SECRET) {
+    logger.warn(`⚠️ No WHATSAPP_APP_SECRET provided. Webhook signatures are not verified${IS_PRODUCTION ? ' and all webhook calls will be rejected' : ''}.`);
+  }
+});
 
+// Finish the messages being processed before a deploy stops us; anything
+// still queued is picked up from data/message-queue.json on the next start
+process.on('SIGTERM', async () => {
+  logger.info('SIGTERM received, finishing in-flight messages...');
+  await messageQueue.stop();
+  process.exit(0);
+});
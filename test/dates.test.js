@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { isValidDate, addMonths } = require('../lib/dates');
+const { findDate } = require('../lib/extract');
+
+// Unit tests for the date helpers that reminders, the calendar and the
+// rule-based answers share. Run with `npm test` before the scenarios.
+
+test('isValidDate accepts real dates', () => {
+  for (const date of ['2024-01-31', '2024-02-29', '2023-02-28', '2000-02-29', '2030-12-31']) {
+    assert.ok(isValidDate(date), date);
+  }
+});
+
+test('isValidDate rejects days a month does not have', () => {
+  for (const date of ['2024-02-30', '2024-02-31', '2023-02-29', '1900-02-29', '2024-04-31', '2024-13-01', '2024-00-10', '2024-01-00']) {
+    assert.ok(!isValidDate(date), date);
+  }
+});
+
+test('isValidDate rejects anything that is not YYYY-MM-DD', () => {
+  for (const value of [undefined, null, '', '2024-1-5', '05/01/2024', '2024-01-05T10:00']) {
+    assert.ok(!isValidDate(value), String(value));
+  }
+});
+
+test('addMonths ends on the last day of shorter months', () => {
+  assert.strictEqual(addMonths('2024-01-31', 1), '2024-02-29');
+  assert.strictEqual(addMonths('2023-01-31', 1), '2023-02-28');
+  assert.strictEqual(addMonths('2024-03-31', 1), '2024-04-30');
+  assert.strictEqual(addMonths('2024-12-15', 1), '2025-01-15');
+  assert.strictEqual(addMonths('2024-03-31', -1), '2024-02-29');
+});
+
+test('findDate ignores impossible dates in messages', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+  assert.strictEqual(findDate('on 2023-02-29', { now, timeZone: 'UTC' }), null);
+  assert.strictEqual(findDate('on the 31st of April', { now, timeZone: 'UTC' }), null);
+  assert.strictEqual(findDate('on 2024-02-29', { now, timeZone: 'UTC' }).date, '2024-02-29');
+});
@@ -0,0 +1,268 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { computeSignature } = require('../lib/signature');
+
+// Runs the real server in a child process with everything external faked, so
+// tests and replays go through the same /webhook -> queue -> flows/commands/
+// Gemini -> actions path as production:
+//   - WhatsApp: the Graph API is /mock-graph on the bot itself
+//   - Gemini:   scripted responses (/mock-gemini), rule-based answers, recordings
+//               (GEMINI_RECORDINGS), or the real API when GEMINI_API_KEY is passed in
+//   - integrations: targets can point at /mock-webhooks on the bot itself
+//     ("http://127.0.0.1:${PORT}/mock-webhooks/<name>")
+//   - weather and search use the fixtures, email goes to the sink transport
+// Every bot gets its own empty data directory, removed again by stop().
+const ROOT_DIR = path.join(__dirname, '..');
+const ADMIN_API_KEY = 'test-admin-key';
+const APP_SECRET = 'test-app-secret';
+const PHONE_NUMBER_ID = 'test-phone-id';
+const START_TIMEOUT_MS = 15000;
+const IDLE_TIMEOUT_MS = 20000;
+const STOP_TIMEOUT_MS = 5000;
+const POLL_INTERVAL_MS = 50;
+const MAX_LOG_LINES = 500;
+
+const DEFAULT_ENV = {
+  NODE_ENV: 'test',
+  ENABLE_MOCKS: '1',
+  LOG_FORMAT: 'json',
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'warn',
+  GEMINI_API_KEY: '',
+  WHATSAPP_TOKEN: 'test-token',
+  WHATSAPP_PHONE_ID: PHONE_NUMBER_ID,
+  WHATSAPP_APP_SECRET: APP_SECRET,
+  ADMIN_API_KEY,
+  STATE_STORE: 'memory',
+  WEATHER_PROVIDER: 'fixture',
+  SEARCH_PROVIDER: 'fixture',
+  EMAIL_TRANSPORT: 'sink',
+  WHATSAPP_RETRY_BASE_DELAY_MS: '10',
+  QUEUE_RETRY_BASE_DELAY_MS: '50',
+  WEBHOOK_RETRY_BASE_DELAY_MS: '10'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// A WhatsApp message as it appears in a webhook. content is the text of a text
+// message, or the type-specific fields ({ type: 'location', location: {...} }).
+function createInboundMessage(from, content) {
+  const fields = typeof content === 'string' ? { type: 'text', text: { body: content } } : content;
+  return {
+    from,
+    id: `wamid.test-${crypto.randomUUID()}`,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...fields
+  };
+}
+
+// The webhook body Meta sends for inbound messages
+function createWebhookPayload(messages, { name = 'Test User' } = {}) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'test-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '15550000000', phone_number_id: PHONE_NUMBER_ID },
+          contacts: messages.map(message => ({ profile: { name }, wa_id: message.from })),
+          messages
+        }
+      }]
+    }]
+  };
+}
+
+// Flatten an outbound Graph API message into { to, type, text, options, template }.
+// options are the reply buttons or list rows ({ id, title }) a user could tap.
+function describeOutbound(record) {
+  const { payload } = record;
+  const described = { id: record.id, to: payload.to, type: payload.type, text: '', options: [], payload };
+  switch (payload.type) {
+    case 'text':
+      described.text = payload.text.body;
+      break;
+    case 'interactive': {
+      const { interactive } = payload;
+      described.text = interactive.body ? interactive.body.text : '';
+      described.interactive = interactive.type;
+      described.options = interactive.type === 'list'
+        ? interactive.action.sections.flatMap(section => section.rows).map(row => ({ id: row.id, title: row.title }))
+        : interactive.action.buttons.map(button => ({ id: button.reply.id, title: button.reply.title }));
+      break;
+    }
+    case 'template': {
+      described.template = payload.template.name;
+      const body = (payload.template.components || []).find(component => component.type === 'body');
+      described.text = body ? body.parameters.map(parameter => parameter.text).join('\n') : '';
+      break;
+    }
+    case 'reaction':
+      described.text = payload.reaction.emoji;
+      break;
+    default:
+      described.text = (payload[payload.type] && payload[payload.type].caption) || '';
+  }
+  return described;
+}
+
+// Start a bot. env overrides DEFAULT_ENV; integrations is the "targets" object
+// of integrations.json. gemini is a GEMINI_CLIENT mode (see lib/llm.js):
+// "scripted" (default), "rules", "replay", or "record" and "live", which need
+// GEMINI_API_KEY in this process's environment. GEMINI_RECORDINGS is passed on.
+async function startBot({ env = {}, integrations = {}, gemini = 'scripted' } = {}) {
+  const port = await getFreePort();
+  const url = `http://127.0.0.1:${port}`;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-bot-test-'));
+  const integrationsFile = path.join(dataDir, 'integrations.json');
+  fs.writeFileSync(integrationsFile, JSON.stringify({ targets: integrations }, null, 2));
+
+  const childEnv = {
+    PATH: process.env.PATH,
+    ...DEFAULT_ENV,
+    PORT: String(port),
+    DATA_DIR: dataDir,
+    INTEGRATIONS_FILE: integrationsFile,
+    WHATSAPP_API_URL: `${url}/mock-graph`,
+    GEMINI_CLIENT: gemini,
+    ...(process.env.GEMINI_RECORDINGS ? { GEMINI_RECORDINGS: path.resolve(process.env.GEMINI_RECORDINGS) } : {}),
+    ...(gemini === 'live' || gemini === 'record' ? { GEMINI_API_KEY: process.env.GEMINI_API_KEY || '' } : {}),
+    ...env
+  };
+  if ((gemini === 'live' || gemini === 'record') && !childEnv.GEMINI_API_KEY) throw new Error(`GEMINI_API_KEY is needed to use Gemini in ${gemini} mode`);
+
+  // Started from the data directory so a developer's .env is never picked up
+  const child = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], { cwd: dataDir, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  const logs = [];
+  const collect = chunk => {
+    logs.push(...chunk.toString('utf8').split('\n').filter(Boolean));
+    if (logs.length > MAX_LOG_LINES) logs.splice(0, logs.length - MAX_LOG_LINES);
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  let exited = false;
+  const exitPromise = new Promise(resolve => child.on('exit', code => {
+    exited = true;
+    resolve(code);
+  }));
+
+  const http = axios.create({ baseURL: url, headers: { 'x-api-key': ADMIN_API_KEY }, timeout: 10000 });
+
+  const bot = {
+    url,
+    port,
+    dataDir,
+    logs,
+
+    // POST a webhook body, signed like Meta does
+    async postWebhook(body) {
+      const raw = JSON.stringify(body);
+      const response = await http.post('/webhook', raw, {
+        headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': computeSignature(raw, APP_SECRET) }
+      });
+      return response.status;
+    },
+
+    // Send one message from `from`; returns the inbound message
+    async send(from, content, options) {
+      const message = createInboundMessage(from, content);
+      await bot.postWebhook(createWebhookPayload([message], options));
+      return message;
+    },
+
+    // Wait until every queued message has been handled
+    async waitForIdle(timeoutMs = IDLE_TIMEOUT_MS) {
+      const deadline = Date.now() + timeoutMs;
+      let idlePolls = 0;
+      // Two empty polls in a row, so a job enqueued right after the first one isn't missed
+      while (idlePolls < 2) {
+        if (exited) throw new Error('The bot exited while messages were being processed');
+        if (Date.now() > deadline) throw new Error(`The bot was still busy after ${timeoutMs} ms`);
+        await sleep(POLL_INTERVAL_MS);
+        const { data } = await http.get('/api/queue');
+        idlePolls = data.stats.depth === 0 ? idlePolls + 1 : 0;
+      }
+    },
+
+    async sentMessages() {
+      const { data } = await http.get('/mock-graph/sent');
+      return data.messages.map(describeOutbound);
+    },
+
+    // Action runs, oldest first
+    async actionRuns(fromNumber) {
+      const { data } = await http.get('/api/actions', { params: { phone: fromNumber, limit: 1000 } });
+      return data.actions.reverse();
+    },
+
+    async webhookDeliveries() {
+      const { data } = await http.get('/mock-webhooks/received');
+      return data.deliveries;
+    },
+
+    async failedJobs() {
+      const { data } = await http.get('/api/queue');
+      return data.failed;
+    },
+
+    async scriptGemini(responses) {
+      await http.post('/mock-gemini/responses', { responses });
+    },
+
+    // { prompts: [{ prompt, attachments, scripted }], remaining }
+    async geminiPrompts() {
+      const { data } = await http.get('/mock-gemini/prompts');
+      return data;
+    },
+
+    // Make the next WhatsApp sends fail: { count, status, code, message, type }
+    async failWhatsApp(failure) {
+      await http.post('/mock-graph/failures', failure);
+    },
+
+    async stop() {
+      if (!exited) {
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+        await exitPromise;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  // Ready once the health check answers (503 is fine, it only means "not live")
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (exited || Date.now() > deadline) {
+      await bot.stop();
+      throw new Error(`The bot did not start:\n${logs.slice(-20).join('\n')}`);
+    }
+    try {
+      await http.get('/', { validateStatus: () => true, timeout: 1000 });
+      return bot;
+    } catch (error) {
+      await sleep(POLL_INTERVAL_MS * 2);
+    }
+  }
+}
+
+module.exports = { startBot, createInboundMessage, createWebhookPayload, describeOutbound };
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+
+// Reminders are stored under DATA_DIR, which is read when the store is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-bot-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+const { addReminder, processDueReminders, computeNextOccurrence } = require('../lib/reminders');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function occurrences(firstDue, recurrence, count) {
+  const dates = [];
+  let due = new Date(firstDue);
+  for (let i = 0; i < count; i++) {
+    due = computeNextOccurrence(due, recurrence, due, 'UTC');
+    dates.push(due.toISOString());
+  }
+  return dates;
+}
+
+test('monthly reminders on the 31st stay on the last day of each month', () => {
+  assert.deepStrictEqual(occurrences('2024-01-31T09:00:00Z', { freq: 'monthly', dayOfMonth: 31 }, 4), [
+    '2024-02-29T09:00:00.000Z',
+    '2024-03-31T09:00:00.000Z',
+    '2024-04-30T09:00:00.000Z',
+    '2024-05-31T09:00:00.000Z'
+  ]);
+});
+
+test('monthly reminders without a stored day keep the day they started on', () => {
+  assert.deepStrictEqual(occurrences('2024-01-15T18:30:00Z', { freq: 'monthly' }, 2), [
+    '2024-02-15T18:30:00.000Z',
+    '2024-03-15T18:30:00.000Z'
+  ]);
+});
+
+test('weekly reminders on set days skip the others', () => {
+  // 2024-05-06 is a Monday
+  assert.deepStrictEqual(occurrences('2024-05-06T08:00:00Z', { freq: 'weekly', days: [1, 3] }, 3), [
+    '2024-05-08T08:00:00.000Z',
+    '2024-05-13T08:00:00.000Z',
+    '2024-05-15T08:00:00.000Z'
+  ]);
+});
+
+test('reminders keep retrying through a short outage and give up after an hour of failures', async () => {
+  const { data: reminder } = addReminder('15550002222', { text: 'Water the plants', date: '2024-05-06', time: '09:00' });
+  const start = new Date('2024-05-06T12:00:00Z');
+  let sends = 0;
+  const failing = async () => { sends++; return { success: false, transient: true }; };
+  const at = minutes => new Date(start.getTime() + minutes * 60000);
+
+  // Ticks every 30 seconds for 3 minutes only retry at 0, 1 and 3 minutes
+  for (let seconds = 0; seconds <= 180; seconds += 30) {
+    await processDueReminders(failing, new Date(start.getTime() + seconds * 1000));
+  }
+  assert.strictEqual(sends, 3);
+  assert.strictEqual(reminder.status, 'pending');
+
+  // The next retry after the hour is up is the last one
+  await processDueReminders(failing, at(59));
+  assert.strictEqual(reminder.status, 'pending');
+  await processDueReminders(failing, at(75));
+  assert.strictEqual(reminder.status, 'failed');
+});
+
+test('a delivery after failed attempts clears them', async () => {
+  const { data: reminder } = addReminder('15550002222', { text: 'Call the bank', date: '2024-05-06', time: '09:00' });
+  const start = new Date('2024-05-06T12:00:00Z');
+  await processDueReminders(async () => ({ success: false, transient: true }), start);
+  assert.strictEqual(reminder.attempts, 1);
+
+  await processDueReminders(async () => ({ success: true }), new Date(start.getTime() + 60000));
+  assert.strictEqual(reminder.status, 'sent');
+  assert.strictEqual(reminder.attempts, 0);
+  assert.strictEqual(reminder.nextAttemptAt, undefined);
+});
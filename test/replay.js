@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { startBot } = require('./harness');
+
+// Replays captured webhook bodies against a local bot with everything external
+// faked (see harness.js) and prints what the bot answered and which actions ran:
+//
+//   npm run replay -- webhooks.jsonl [more files or directories]
+//     --env NAME=value    environment for the bot, e.g. --env OWNER_NUMBERS=15551234567 (repeatable)
+//     --gemini MODE       live, record, replay or rules (see lib/llm.js); default live
+//                         when GEMINI_API_KEY is set, rules otherwise
+//     --keep-timestamps   keep the original message times; by default they are moved to now,
+//                         otherwise old messages count as outside the 24-hour window
+//     --json              one JSON object per payload instead of text
+//     --logs              print the bot's log lines at the end
+//
+// A file holds one webhook body, a JSON array of them, or one body per line
+// (what WEBHOOK_CAPTURE_FILE writes). Record and replay use GEMINI_RECORDINGS,
+// so `--gemini record` once with a key and `--gemini replay` afterwards runs the
+// same conversation offline. Media in captured payloads lives on Meta's
+// servers, so images, documents and voice notes fail to download.
+const USAGE = 'Usage: npm run replay -- <file or directory>... [--env NAME=value] [--gemini live|record|replay|rules] [--keep-timestamps] [--json] [--logs]';
+const GEMINI_MODES = ['live', 'record', 'replay', 'rules'];
+
+function parseArgs(argv) {
+  const options = { files: [], env: {}, gemini: process.env.GEMINI_API_KEY ? 'live' : 'rules', keepTimestamps: false, json: false, logs: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--env') {
+      const [name, ...value] = String(argv[++i] || '').split('=');
+      if (!name || value.length === 0) throw new Error('--env expects NAME=value');
+      options.env[name] = value.join('=');
+    } else if (arg === '--gemini') {
+      options.gemini = argv[++i];
+      if (!GEMINI_MODES.includes(options.gemini)) throw new Error(`--gemini expects one of ${GEMINI_MODES.join(', ')}`);
+    } else if (arg === '--keep-timestamps') {
+      options.keepTimestamps = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--logs') {
+      options.logs = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  if (options.files.length === 0) throw new Error('No payload files given');
+  return options;
+}
+
+function listFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter(file => /\.(json|jsonl|ndjson)$/.test(file))
+    .sort()
+    .map(file => path.join(target, file));
+}
+
+function readPayloads(file) {
+  const source = fs.readFileSync(file, 'utf8').trim();
+  if (!source) return [];
+  try {
+    return [].concat(JSON.parse(source));
+  } catch (error) {
+    return source.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`${file}:${index + 1} is not valid JSON (${lineError.message})`);
+      }
+    });
+  }
+}
+
+function eachValue(payload, fn) {
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.value) fn(change.value);
+    }
+  }
+}
+
+function moveToNow(payload) {
+  const now = String(Math.floor(Date.now() / 1000));
+  eachValue(payload, value => {
+    for (const item of [...(value.messages || []), ...(value.statuses || [])]) item.timestamp = now;
+  });
+  return payload;
+}
+
+function describeInbound(message) {
+  switch (message.type) {
+    case 'text':
+      return JSON.stringify(message.text.body);
+    case 'interactive': {
+      const reply = message.interactive.button_reply || message.interactive.list_reply;
+      return reply ? `tapped ${JSON.stringify(reply.title)} (${reply.id})` : message.interactive.type;
+    }
+    case 'button':
+      return `tapped ${JSON.stringify(message.button.text)}`;
+    case 'location':
+      return `${message.location.latitude}, ${message.location.longitude}`;
+    default:
+      return message[message.type] && message[message.type].caption ? JSON.stringify(message[message.type].caption) : '';
+  }
+}
+
+function printText(result) {
+  for (const message of result.inbound) {
+    console.log(`📨 ${message.from} ${message.type} ${describeInbound(message)}`);
+  }
+  for (const status of result.statuses) {
+    console.log(`📬 ${status.status} ${status.id}${status.errors ? ` ${JSON.stringify(status.errors)}` : ''}`);
+  }
+  for (const message of result.sent) {
+    const options = message.options.length > 0 ? ` [${message.options.map(option => option.title).join(' | ')}]` : '';
+    console.log(`   ↩ ${message.to} ${message.template ? `template ${message.template}` : message.type}: ${JSON.stringify(message.text)}${options}`);
+  }
+  for (const run of result.actions) {
+    console.log(`   ⚙ ${run.action} ${run.success ? '✓' : '✗'} ${JSON.stringify(run.params)}${run.forwarded ? ' (webhook)' : ''}`);
+  }
+  console.log('');
+}
+
+async function replay(options) {
+  const files = options.files.flatMap(listFiles);
+  const bot = await startBot({ env: options.env, gemini: options.gemini });
+  try {
+    for (const file of files) {
+      for (const original of readPayloads(file)) {
+        const payload = options.keepTimestamps ? original : moveToNow(original);
+        const sentBefore = (await bot.sentMessages()).length;
+        const actionsBefore = new Set((await bot.actionRuns()).map(run => run.id));
+
+        const status = await bot.postWebhook(payload);
+        await bot.waitForIdle();
+
+        const result = { file, status, inbound: [], statuses: [], sent: [], actions: [] };
+        eachValue(payload, value => {
+          result.inbound.push(...(value.messages || []));
+          result.statuses.push(...(value.statuses || []));
+        });
+        result.sent = (await bot.sentMessages()).slice(sentBefore);
+        result.actions = (await bot.actionRuns()).filter(run => !actionsBefore.has(run.id));
+
+        if (options.json) {
+          console.log(JSON.stringify({ ...result, sent: result.sent.map(({ payload: body, ...message }) => message) }));
+        } else {
+          printText(result);
+        }
+      }
+    }
+
+    const failed = await bot.failedJobs();
+    if (failed.length > 0 && !options.json) {
+      console.log(`⚠️ ${failed.length} message(s) failed after all retries:`);
+      for (const job of failed) console.log(`   ${job.key}: ${job.lastError}`);
+    }
+    if (options.logs) console.log(bot.logs.join('\n'));
+  } finally {
+    await bot.stop();
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(2);
+}
+
+replay(options).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
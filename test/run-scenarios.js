@@ -0,0 +1,192 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const yaml = require('js-yaml');
+const { startBot } = require('./harness');
+
+// Runs the conversation scenarios in test/scenarios (YAML or JSON) against a
+// real bot (see harness.js), one fresh bot per scenario. `npm test -- <word>`
+// only runs scenario files whose name contains <word>.
+//
+//   name: Weather questions run weather.get
+//   from: "15550001111"              # default sender for the steps
+//   gemini: rules                    # GEMINI_CLIENT mode, default scripted (see lib/llm.js)
+//   env: { RATE_LIMIT_PER_MINUTE: "3" }
+//   integrations:                    # integrations.json targets
+//     email.send: { url: "http://127.0.0.1:${PORT}/mock-webhooks/email" }
+//   steps:
+//     - send: "What's the weather in London?"   # text, or a message object ({ type: location, location: {...} })
+//       gemini: { reply: "Let me check.", action: weather.get, params: { location: London } }
+//       expect:
+//         replies: ["Let me check.", "Weather in London"]
+//         actions: [{ action: weather.get, success: true, params: { location: London } }]
+//     - tap: "✅ Confirm"                # a button or list row of the last interactive message
+//
+// A step sends one message (send or tap, optionally from another number),
+// waits until the bot has handled it and checks what happened during the step:
+//   gemini   - response(s) the scripted Gemini gives, in order; all of them must
+//              be used and Gemini must not be called more often (scripted scenarios only)
+//   whatsappFailures - failures injected into the next WhatsApp sends ({ count, status, code, type })
+//   wait     - extra milliseconds to wait before checking (e.g. for a reminder)
+//   expect.replies  - every message sent to the sender, in order. A string has to
+//                     be part of the text; objects can check text, equals, matches
+//                     (a regex), type, buttons (titles), template and to.
+//   expect.sent     - the same, for messages to any number
+//   expect.actions  - every action run for the sender: the action name, or
+//                     { action, success, params (a subset), message, forwarded }
+//   expect.webhooks - every outbound integration delivery: { name, action, params, signatureValid }
+//   expect.prompt   - texts that have to appear in a Gemini prompt of this step
+// Checks that are left out aren't made.
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_FROM = '15550001111';
+const WEBHOOK_WAIT_MS = 2000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadScenarios(filter) {
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(file => /\.(ya?ml|json)$/.test(file))
+    .filter(file => !filter || file.includes(filter))
+    .sort()
+    .map(file => {
+      const source = fs.readFileSync(path.join(SCENARIOS_DIR, file), 'utf8');
+      const scenario = file.endsWith('.json') ? JSON.parse(source) : yaml.load(source);
+      return { file, ...scenario };
+    });
+}
+
+// Whether `actual` contains everything in `expected` (extra keys are fine)
+function isSubset(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length && expected.every((item, index) => isSubset(item, actual[index]));
+  }
+  if (expected && typeof expected === 'object') {
+    return Boolean(actual) && typeof actual === 'object' && Object.entries(expected).every(([key, value]) => isSubset(value, actual[key]));
+  }
+  return expected === actual;
+}
+
+function matchesMessage(expected, message) {
+  if (typeof expected === 'string') return message.text.includes(expected);
+  return (expected.text === undefined || message.text.includes(expected.text))
+    && (expected.equals === undefined || message.text === expected.equals)
+    && (expected.matches === undefined || new RegExp(expected.matches).test(message.text))
+    && (expected.type === undefined || message.type === expected.type)
+    && (expected.buttons === undefined || isSubset(expected.buttons, message.options.map(option => option.title)))
+    && (expected.template === undefined || message.template === expected.template)
+    && (expected.to === undefined || message.to === String(expected.to));
+}
+
+function matchesAction(expected, run) {
+  if (typeof expected === 'string') return run.action === expected;
+  return (expected.action === undefined || run.action === expected.action)
+    && (expected.success === undefined || run.success === expected.success)
+    && (expected.params === undefined || isSubset(expected.params, run.params))
+    && (expected.message === undefined || (run.message || '').includes(expected.message))
+    && (expected.forwarded === undefined || run.forwarded === expected.forwarded);
+}
+
+function matchesDelivery(expected, delivery) {
+  return (expected.name === undefined || delivery.name === expected.name)
+    && (expected.action === undefined || delivery.action === expected.action)
+    && (expected.params === undefined || isSubset(expected.params, delivery.payload.params))
+    && (expected.signatureValid === undefined || delivery.signatureValid === expected.signatureValid);
+}
+
+// Compare a list of expectations with what actually happened, in order
+function checkAll(what, expected, actual, matches, describe) {
+  const shown = actual.map(describe).join('\n  ') || '(none)';
+  assert.strictEqual(actual.length, expected.length, `Expected ${expected.length} ${what} but got ${actual.length}:\n  ${shown}`);
+  expected.forEach((item, index) => {
+    assert.ok(matches(item, actual[index]), `${what} #${index + 1} doesn't match ${JSON.stringify(item)}:\n  ${shown}`);
+  });
+}
+
+// A tap on a reply button or list row of the last interactive message sent to `from`
+function tapMessage(sent, from, label) {
+  const interactive = sent.filter(message => message.to === from && message.interactive).pop();
+  assert.ok(interactive, `There is no button or list to tap "${label}" on`);
+  const option = interactive.options.find(item => item.title === label || item.id === label);
+  assert.ok(option, `"${label}" is not one of ${JSON.stringify(interactive.options.map(item => item.title))}`);
+  const kind = interactive.interactive === 'list' ? 'list_reply' : 'button_reply';
+  return { type: 'interactive', interactive: { type: kind, [kind]: option } };
+}
+
+function describeStep(step) {
+  if (step.name) return step.name;
+  if (step.tap) return `tap "${step.tap}"`;
+  return `send ${typeof step.send === 'string' ? `"${step.send}"` : `${step.send.type} message`}`;
+}
+
+async function runStep(bot, scenario, step) {
+  const from = String(step.from || scenario.from || DEFAULT_FROM);
+  const expect = step.expect || {};
+  const sentBefore = (await bot.sentMessages()).length;
+  const actionsBefore = new Set((await bot.actionRuns(from)).map(run => run.id));
+  const deliveriesBefore = (await bot.webhookDeliveries()).length;
+  const scripted = (scenario.gemini || 'scripted') === 'scripted';
+  assert.ok(scripted || (!step.gemini && !expect.prompt), `gemini and expect.prompt need a scripted scenario, not gemini: ${scenario.gemini}`);
+  const promptsBefore = scripted ? (await bot.geminiPrompts()).prompts.length : 0;
+
+  for (const failure of [].concat(step.whatsappFailures || [])) await bot.failWhatsApp(failure);
+  if (step.gemini) await bot.scriptGemini([].concat(step.gemini));
+
+  const content = step.tap ? tapMessage(await bot.sentMessages(), from, step.tap) : step.send;
+  await bot.send(from, content);
+  await bot.waitForIdle();
+  if (step.wait) await sleep(step.wait);
+
+  if (scripted) {
+    const gemini = await bot.geminiPrompts();
+    const prompts = gemini.prompts.slice(promptsBefore);
+    assert.ok(prompts.every(prompt => prompt.scripted), `Gemini was called ${prompts.filter(prompt => !prompt.scripted).length} more time(s) than scripted`);
+    assert.strictEqual(gemini.remaining, 0, `${gemini.remaining} scripted Gemini response(s) were not used`);
+    for (const text of [].concat(expect.prompt || [])) {
+      assert.ok(prompts.some(prompt => prompt.prompt.includes(text)), `No Gemini prompt contained "${text}"`);
+    }
+  }
+
+  const sent = (await bot.sentMessages()).slice(sentBefore);
+  const describeMessage = message => `${message.to} ${message.type}: ${JSON.stringify(message.text)}${message.options.length > 0 ? ` [${message.options.map(option => option.title).join(' | ')}]` : ''}`;
+  if (expect.replies) checkAll('replies', expect.replies, sent.filter(message => message.to === from), matchesMessage, describeMessage);
+  if (expect.sent) checkAll('sent messages', expect.sent, sent, matchesMessage, describeMessage);
+
+  if (expect.actions) {
+    const runs = (await bot.actionRuns(from)).filter(run => !actionsBefore.has(run.id));
+    checkAll('actions', expect.actions, runs, matchesAction, run => `${run.action} ${run.success ? 'succeeded' : 'failed'} ${JSON.stringify(run.params)}: ${run.message}`);
+  }
+
+  if (expect.webhooks) {
+    // Mirrored deliveries happen after the reply, give them a moment
+    const deadline = Date.now() + WEBHOOK_WAIT_MS;
+    let deliveries = (await bot.webhookDeliveries()).slice(deliveriesBefore);
+    while (deliveries.length < expect.webhooks.length && Date.now() < deadline) {
+      await sleep(50);
+      deliveries = (await bot.webhookDeliveries()).slice(deliveriesBefore);
+    }
+    checkAll('webhook deliveries', expect.webhooks, deliveries, matchesDelivery, delivery => `${delivery.name} ${delivery.action} ${JSON.stringify(delivery.payload.params)}`);
+  }
+}
+
+for (const scenario of loadScenarios(process.argv[2])) {
+  test(`${scenario.name} (${scenario.file})`, async () => {
+    const bot = await startBot({ env: scenario.env, integrations: scenario.integrations, gemini: scenario.gemini });
+    try {
+      for (const [index, step] of scenario.steps.entries()) {
+        try {
+          await runStep(bot, scenario, step);
+        } catch (error) {
+          error.message = `Step ${index + 1} (${describeStep(step)}): ${error.message}`;
+          throw error;
+        }
+      }
+    } catch (error) {
+      // The bot's own warnings and errors usually explain a failure
+      if (bot.logs.length > 0) error.message += `\n\nBot logs:\n${bot.logs.slice(-30).join('\n')}`;
+      throw error;
+    } finally {
+      await bot.stop();
+    }
+  });
+}
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const http = require('http');
+const { test } = require('node:test');
+const { createOpenMeteoProvider } = require('../lib/weather');
+
+// A stand-in for the Open-Meteo geocoding API. It searches by name only and ranks
+// Paris, Texas first, so only the region in the query can pick the French one.
+const PLACES = {
+  paris: [
+    { name: 'Paris', country: 'United States', country_code: 'US', admin1: 'Texas', latitude: 33.66, longitude: -95.56 },
+    { name: 'Paris', country: 'France', country_code: 'FR', admin1: 'Île-de-France', latitude: 48.85, longitude: 2.35 }
+  ]
+};
+
+async function withGeocoder(fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(Object.fromEntries(url.searchParams));
+    const results = PLACES[url.searchParams.get('name').toLowerCase()];
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(results ? { results: results.slice(0, Number(url.searchParams.get('count'))) } : {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const provider = createOpenMeteoProvider({ geocodingUrl: `http://127.0.0.1:${server.address().port}/v1/search` });
+    await fn(provider, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('"Paris, France" searches for Paris and picks the French one', async () => {
+  await withGeocoder(async (provider, requests) => {
+    const place = await provider.geocode('Paris, France');
+    assert.strictEqual(requests[0].name, 'Paris');
+    assert.deepStrictEqual(place, { name: 'Paris', country: 'FR', latitude: 48.85, longitude: 2.35 });
+  });
+});
+
+test('country codes and states pick a result too', async () => {
+  await withGeocoder(async provider => {
+    assert.strictEqual((await provider.geocode('Paris, FR')).country, 'FR');
+    assert.strictEqual((await provider.geocode('paris, texas')).country, 'US');
+  });
+});
+
+test('a plain name or an unknown region gives the best-ranked result', async () => {
+  await withGeocoder(async provider => {
+    assert.strictEqual((await provider.geocode('Paris')).country, 'US');
+    assert.strictEqual((await provider.geocode('Paris, Atlantis')).country, 'US');
+    assert.strictEqual(await provider.geocode('Nowhere, France'), null);
+  });
+});
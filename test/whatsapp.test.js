@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+
+// The client reads its config when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-bot-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  STATE_STORE: 'memory',
+  LOG_LEVEL: 'error',
+  WHATSAPP_TOKEN: 'test-token',
+  WHATSAPP_PHONE_ID: 'test-phone-id',
+  WHATSAPP_TIMEOUT_MS: '200',
+  WHATSAPP_MAX_ATTEMPTS: '2',
+  WHATSAPP_RETRY_BASE_DELAY_MS: '10'
+});
+const whatsapp = require('../lib/whatsapp');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('axios timeouts count as transient', () => {
+  const failure = whatsapp.classifyError(Object.assign(new Error('timeout of 200ms exceeded'), { code: 'ECONNABORTED' }));
+  assert.strictEqual(failure.kind, 'transient');
+});
+
+test('a Graph API that never answers fails the send instead of hanging', async () => {
+  let requests = 0;
+  const server = http.createServer(() => { requests++; });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    // WHATSAPP_API_URL is read at load time, so reload the client once the server has a port
+    process.env.WHATSAPP_API_URL = `http://127.0.0.1:${server.address().port}`;
+    delete require.cache[require.resolve('../lib/whatsapp')];
+    const client = require('../lib/whatsapp');
+    await client.recordInboundMessage('15550001111');
+    const startedAt = Date.now();
+    const result = await client.sendWhatsAppMessage('15550001111', 'Hello');
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.transient, true);
+    assert.strictEqual(requests, 2);
+    assert.ok(Date.now() - startedAt < 5000);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});